@@ -0,0 +1,194 @@
+// public/offline.js
+// Shared by the page and the service worker (importScripts), so both see the
+// same IndexedDB: read-only copies of API responses for when there's no
+// signal, and the outbox of writes waiting to be sent.
+//
+// Outbox entries are replayed strictly in order. One that the server refuses
+// (a conflict, a locked invoice, a bad request) is marked "conflict" and holds
+// back everything queued after it for the same invoice until the user keeps
+// or discards it. Network failures and server errors stop the replay so it
+// can be tried again later. Invoices created offline have no id yet, so their
+// entries carry a local ref that the first successful save maps to the id.
+self.EmmOffline = (() => {
+  const DB_NAME = "emm-offline";
+  const DB_VERSION = 1;
+  const SYNC_TAG = "emm-outbox";
+  const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel("emm-outbox") : null;
+
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          db.createObjectStore("cache", { keyPath: "path" });
+          db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+          db.createObjectStore("meta", { keyPath: "key" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction and resolves with the last request's result
+  async function withStore(name, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      let result;
+      const req = fn(tx.objectStore(name));
+      if (req) req.onsuccess = () => { result = req.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // --- Read-only copies
+
+  async function getCached(path) {
+    return (await withStore("cache", "readonly", (s) => s.get(path))) || null;
+  }
+
+  function putCached(path, data) {
+    return withStore("cache", "readwrite", (s) => s.put({ path, data, cached_at: new Date().toISOString() }));
+  }
+
+  // --- Outbox
+
+  async function getMeta(key) {
+    return (await withStore("meta", "readonly", (s) => s.get(key)))?.value ?? null;
+  }
+
+  function setMeta(key, value) {
+    return withStore("meta", "readwrite", (s) => s.put({ key, value }));
+  }
+
+  function entryKey(entry) {
+    return entry.ref || `invoice:${entry.invoiceId}`;
+  }
+
+  async function listOutbox() {
+    return (await withStore("outbox", "readonly", (s) => s.getAll())) || [];
+  }
+
+  function putEntry(entry) {
+    return withStore("outbox", "readwrite", (s) => s.put(entry));
+  }
+
+  function removeEntry(id) {
+    return withStore("outbox", "readwrite", (s) => s.delete(id));
+  }
+
+  // Queues { kind, label, path, body, invoiceId, ref }. "{id}" in the path is
+  // filled in at replay. A save straight after another queued save of the same
+  // invoice replaces it rather than queueing twice.
+  async function enqueue(entry) {
+    const pending = (await listOutbox()).filter((e) => entryKey(e) === entryKey(entry));
+    const last = pending[pending.length - 1];
+
+    if (entry.kind === "save" && last?.kind === "save" && last.status === "queued") {
+      // Keep the revision the first save started from, so a conflict still shows
+      await putEntry({ ...last, label: entry.label, body: { ...entry.body, base_rev: last.body.base_rev }, queued_at: new Date().toISOString() });
+      return last.id;
+    }
+
+    // A later save builds on whatever the earlier queued save produces
+    const chainRev = entry.kind === "save" && pending.some((e) => e.kind === "save");
+    return withStore("outbox", "readwrite", (s) =>
+      s.add({ ...entry, chainRev, status: "queued", attempts: 0, error: null, queued_at: new Date().toISOString() })
+    );
+  }
+
+  async function hasPending(entry) {
+    return (await listOutbox()).some((e) => entryKey(e) === entryKey(entry));
+  }
+
+  async function replayOnce() {
+    const results = [];
+    const blocked = new Set();
+    let stopped = null;
+
+    for (const entry of await listOutbox()) {
+      const key = entryKey(entry);
+      if (entry.status === "conflict" || blocked.has(key)) {
+        blocked.add(key);
+        continue;
+      }
+
+      const id = entry.invoiceId || (entry.ref ? await getMeta(`ref:${entry.ref}`) : null);
+      if (entry.path.includes("{id}") && !id) {
+        blocked.add(key);
+        continue;
+      }
+
+      const body = { ...entry.body };
+      if (entry.kind === "save" && id) body.id = id;
+      if (entry.chainRev) body.base_rev = await getMeta(`rev:${key}`);
+
+      let res;
+      let data;
+      try {
+        res = await fetch(entry.path.replace("{id}", id), {
+          method: "POST",
+          credentials: "same-origin",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        data = await res.json().catch(() => ({}));
+      } catch {
+        stopped = "offline";
+        break;
+      }
+
+      if (res.status === 401) {
+        stopped = "signed-out";
+        break;
+      }
+      if (res.status >= 500 || res.status === 429) {
+        await putEntry({ ...entry, attempts: entry.attempts + 1, error: data.error || `Server error (${res.status})` });
+        stopped = "server";
+        break;
+      }
+      if (!res.ok || data.ok === false) {
+        const failed = { ...entry, status: "conflict", attempts: entry.attempts + 1, error: data.error || `Refused (${res.status})`, response: data };
+        await putEntry(failed);
+        blocked.add(key);
+        results.push({ ok: false, entry: failed, data });
+        continue;
+      }
+
+      if (entry.kind === "save") {
+        if (entry.ref) await setMeta(`ref:${entry.ref}`, data.id);
+        await setMeta(`rev:${key}`, data.rev ?? null);
+      }
+      await removeEntry(entry.id);
+      results.push({ ok: true, entry, id: id || data.id, data });
+    }
+
+    const summary = { type: "replayed", results, stopped, remaining: (await listOutbox()).length };
+    channel?.postMessage(summary);
+    return summary;
+  }
+
+  // One replay at a time across the page and the service worker
+  function replayOutbox() {
+    return self.navigator?.locks ? navigator.locks.request(SYNC_TAG, replayOnce) : replayOnce();
+  }
+
+  return {
+    SYNC_TAG,
+    channel,
+    getCached,
+    putCached,
+    listOutbox,
+    putEntry,
+    removeEntry,
+    enqueue,
+    hasPending,
+    replayOutbox,
+  };
+})();
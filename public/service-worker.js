@@ -1,20 +1,78 @@
 // public/service-worker.js
+// The app shell is cached on install so the page opens with no signal. API
+// calls aren't intercepted: the page keeps its own copies of what it reads in
+// IndexedDB and queues writes in the outbox (see offline.js), which the
+// "emm-outbox" Background Sync replays once the connection is back.
+importScripts("offline.js");
+
+const SHELL_CACHE = "emm-shell-v1";
+const SHELL = ["/", "/index.html", "/offline.js", "/manifest.json", "/i-favicon.png"];
+const CDN_SHELL = ["https://cdn.tailwindcss.com"];
+
 self.addEventListener("install", (event) => {
-  self.skipWaiting();
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL);
+      // Cross-origin scripts come back opaque; cache them as they are
+      for (const url of CDN_SHELL) {
+        try {
+          await cache.put(url, await fetch(new Request(url, { mode: "no-cors" })));
+        } catch {}
+      }
+      await self.skipWaiting();
+    })()
+  );
 });
 
 self.addEventListener("activate", (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys()) {
+        if (name !== SHELL_CACHE) await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
 });
 
 self.addEventListener("fetch", (event) => {
   const url = new URL(event.request.url);
+  if (event.request.method !== "GET") return;
 
-  // Never intercept API calls
-  if (url.pathname.startsWith("/api/")) return;
+  // Never intercept API calls or customer share links
+  if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/i/")) return;
+  if (url.origin !== self.location.origin && !CDN_SHELL.includes(url.href)) return;
 
-  // Default: network first
+  // Network first, refreshing the cached copy; the cache when offline
   event.respondWith(
-    fetch(event.request).catch(() => caches.match(event.request))
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      try {
+        const res = await fetch(event.request);
+        if (res.ok || res.type === "opaque") await cache.put(event.request, res.clone());
+        return res;
+      } catch {
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (event.request.mode === "navigate") return cache.match("/index.html");
+        throw new Error("Offline and not cached");
+      }
+    })()
   );
 });
+
+// Rejecting tells the browser to try the sync again later
+self.addEventListener("sync", (event) => {
+  if (event.tag !== EmmOffline.SYNC_TAG) return;
+  event.waitUntil(
+    EmmOffline.replayOutbox().then((result) => {
+      if (result.stopped === "offline" || result.stopped === "server") throw new Error(`Outbox not sent (${result.stopped})`);
+    })
+  );
+});
+
+// Browsers without Background Sync ask for a replay when they come back online
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "replay") event.waitUntil(EmmOffline.replayOutbox());
+});
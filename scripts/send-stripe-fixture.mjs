@@ -0,0 +1,52 @@
+// Posts a Stripe fixture to the webhook with a valid Stripe-Signature, for local testing.
+//
+//   STRIPE_WEBHOOK_SECRET=whsec_local node scripts/send-stripe-fixture.mjs fixtures/stripe/checkout.session.completed.json
+//
+// Put the same STRIPE_WEBHOOK_SECRET in .dev.vars for `wrangler dev`.
+// Options:
+//   --url <url>        webhook URL (default http://localhost:8787/api/webhooks/stripe)
+//   --invoice <no>     point the fixture at this invoice number
+//   --new-id           give the event a fresh id (otherwise re-sending tests duplicate handling)
+import { createHmac, randomBytes } from "node:crypto";
+import { readFileSync } from "node:fs";
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args.splice(i, 2)[1];
+};
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? false : Boolean(args.splice(i, 1));
+};
+
+const url = option("--url") || "http://localhost:8787/api/webhooks/stripe";
+const invoiceNo = option("--invoice");
+const newId = flag("--new-id");
+const [file] = args;
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+if (!file || !secret) {
+  console.error("Usage: STRIPE_WEBHOOK_SECRET=... node scripts/send-stripe-fixture.mjs <fixture.json> [--url URL] [--invoice NO] [--new-id]");
+  process.exit(1);
+}
+
+const event = JSON.parse(readFileSync(file, "utf8"));
+if (newId) event.id = `evt_test_${randomBytes(8).toString("hex")}`;
+if (invoiceNo) {
+  const obj = event.data.object;
+  obj.metadata = { ...obj.metadata, invoice_no: invoiceNo };
+  if ("client_reference_id" in obj) obj.client_reference_id = invoiceNo;
+  if ("description" in obj) obj.description = `Invoice ${invoiceNo}`;
+}
+
+const payload = JSON.stringify(event);
+const timestamp = Math.floor(Date.now() / 1000);
+const signature = createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+
+const res = await fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", "Stripe-Signature": `t=${timestamp},v1=${signature}` },
+  body: payload,
+});
+console.log(res.status, await res.text());
@@ -3,131 +3,82 @@ export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    // CORS (same-origin is fine, but this keeps tools like curl happy)
+    // CORS preflight: only origins on the ALLOWED_ORIGINS list get the headers
     if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders() });
+      return new Response(null, { status: 204, headers: corsHeaders(request, env) });
     }
 
     if (url.pathname.startsWith("/api/")) {
-      return handleApi(request, env, ctx, url);
+      let res;
+      try {
+        res = await handleApi(request, env, ctx, url);
+      } catch (e) {
+        if (!e?.status) throw e;
+        res = bad(e.status, e.message, e.extra);
+      }
+      return withCors(request, env, res);
     }
 
-function csvEscape(value) {
-  if (value === null || value === undefined) return "";
-  const s = String(value);
-  // Wrap in quotes if it contains comma, quote, or newline
-  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
-
-async function exportTableCsv(env, table) {
-  // Only allow known tables (prevents SQL injection)
-  const allowed = new Set(["invoices", "customers"]);
-  if (!allowed.has(table)) {
-    return new Response("Not found", { status: 404 });
-  }
-
-  // Get columns (robust even if your schema changes)
-  const cols = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
-  const colNames = (cols.results || []).map((r) => r.name);
-
-  if (!colNames.length) {
-    return new Response("No columns found", { status: 500 });
-  }
-
-  // Order nicely if there’s a date column
-  const orderBy = colNames.includes("issued_at")
-    ? "ORDER BY issued_at DESC"
-    : colNames.includes("created_at")
-      ? "ORDER BY created_at DESC"
-      : "";
-
-  const selectCols = colNames.map((c) => `"${c}"`).join(", ");
-  const rows = await env.DB.prepare(`SELECT ${selectCols} FROM ${table} ${orderBy}`).all();
-
-  // Build CSV (with BOM so Excel opens it cleanly)
-  const header = colNames.map(csvEscape).join(",");
-  const lines = (rows.results || []).map((row) =>
-    colNames.map((c) => csvEscape(row[c])).join(",")
-  );
-
-  const csv = "\ufeff" + [header, ...lines].join("\n"); // BOM + CSV
-
-  const date = new Date().toISOString().slice(0, 10);
-  return new Response(csv, {
-    headers: {
-      "content-type": "text/csv; charset=utf-8",
-      "content-disposition": `attachment; filename="${table}-${date}.csv"`,
-      "cache-control": "no-store",
-    },
-  });
-}
-
-async function exportBackupJson(env) {
-  const [customers, invoices] = await Promise.all([
-    env.DB.prepare("SELECT * FROM customers").all(),
-    env.DB.prepare("SELECT * FROM invoices").all(),
-  ]);
-
-  const payload = {
-    version: 1,
-    exportedAt: new Date().toISOString(),
-    customers: customers.results || [],
-    invoices: invoices.results || [],
-  };
-
-  const date = new Date().toISOString().slice(0, 10);
-  return new Response(JSON.stringify(payload, null, 2), {
-    headers: {
-      "content-type": "application/json; charset=utf-8",
-      "content-disposition": `attachment; filename="emm-backup-${date}.json"`,
-      "cache-control": "no-store",
-    },
-  });
-}
-
-// In your existing fetch handler:
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-
-    // ✅ Add these BEFORE assets fallback
-    if (url.pathname === "/api/export/invoices.csv") {
-      return exportTableCsv(env, "invoices");
-    }
-    if (url.pathname === "/api/export/customers.csv") {
-      return exportTableCsv(env, "customers");
-    }
-    if (url.pathname === "/api/export/backup.json") {
-      return exportBackupJson(env);
+    // Business logos, shown in documents and emails (see "Business profiles")
+    if (url.pathname.startsWith("/i/logo/")) {
+      return handleLogo(request, env, url);
     }
 
-    // ...your existing routes...
-
-    // ✅ your existing assets fallback (keep it last)
-    return env.ASSETS.fetch(request);
-  },
-};
+    // Customer-facing share links (see "Share links")
+    if (url.pathname.startsWith("/i/")) {
+      return handleSharePage(request, env, url);
+    }
 
-    
     // Static assets fallback
     if (env.ASSETS?.fetch) return env.ASSETS.fetch(request);
     return new Response("Not found", { status: 404 });
   },
+
+  // Cron trigger (see "triggers" in wrangler config)
+  async scheduled(controller, env, ctx) {
+    if (!env.emm_invoices) return;
+    const daily = controller.cron !== EMAIL_RETRY_CRON;
+    ctx.waitUntil(
+      ensureSchema(env).then(() =>
+        Promise.allSettled([
+          ...(daily ? [runSchedules(env, { dryRun: false }), runReminders(env, { dryRun: false })] : []),
+          retryEmails(env),
+        ])
+      )
+    );
+  },
 };
 
-function corsHeaders() {
+// ALLOWED_ORIGINS is a comma-separated list of other origins that may call
+// the API with credentials. The app's own origin never needs to be listed.
+function allowedOrigins(env) {
+  return String(env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+function corsHeaders(request, env) {
+  const origin = request.headers.get("Origin");
+  if (!origin || !allowedOrigins(env).includes(origin)) return {};
   return {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    Vary: "Origin",
   };
 }
 
+function withCors(request, env, response) {
+  const res = new Response(response.body, response);
+  Object.entries(corsHeaders(request, env)).forEach(([k, v]) => res.headers.set(k, v));
+  return res;
+}
+
 function json(data, init = {}) {
   const headers = new Headers(init.headers || {});
   headers.set("Content-Type", "application/json; charset=utf-8");
-  Object.entries(corsHeaders()).forEach(([k, v]) => headers.set(k, v));
   return new Response(JSON.stringify(data, null, 2), { ...init, headers });
 }
 
@@ -135,6 +86,11 @@ function bad(status, message, extra = {}) {
   return json({ ok: false, error: message, ...extra }, { status });
 }
 
+// For helpers deep in a request: thrown, it reaches the client as bad(status, message, extra)
+function apiError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, extra });
+}
+
 async function readJson(request) {
   try {
     return await request.json();
@@ -165,431 +121,6180 @@ function escapeHtml(s) {
     .replaceAll("'", "&#39;");
 }
 
-async function handleApi(request, env, ctx, url) {
-  const { pathname, searchParams } = url;
+// --- Document numbering
+// Invoice, receipt and credit note numbers come from a counter row per
+// series/period, so they're sequential and never collide (e.g. EW-2026-0042,
+// RCPT-2026-0007, CN-2026-0003).
+// Prefixes, padding and the yearly reset are configured through wrangler vars.
+const NUMBER_SERIES = {
+  invoice: { prefixVar: "INVOICE_PREFIX", defaultPrefix: "EW", table: "invoices", column: "invoice_no" },
+  receipt: { prefixVar: "RECEIPT_PREFIX", defaultPrefix: "RCPT", table: "payments", column: "receipt_no" },
+  credit_note: { prefixVar: "CREDIT_NOTE_PREFIX", defaultPrefix: "CN", table: "credit_notes", column: "credit_no" },
+};
 
-  // --- Health
-  if (pathname === "/api/health" && request.method === "GET") {
-    const hasDB = !!env.emm_invoices;
-    const hasASSETS = !!env.ASSETS;
-    let dbTest = null;
+function numberConfig(env, series) {
+  const def = NUMBER_SERIES[series];
+  const reset = safeStr(env.NUMBER_RESET).toLowerCase() || "yearly";
+  return {
+    prefix: safeStr(env[def.prefixVar]) || def.defaultPrefix,
+    padding: Math.max(1, Math.trunc(Number(env.NUMBER_PADDING || 4)) || 1),
+    yearly: reset !== "never",
+  };
+}
 
-    if (hasDB) {
-      try {
-        await env.emm_invoices.prepare("SELECT 1 as ok").first();
-        dbTest = "ok";
-      } catch (e) {
-        dbTest = String(e?.message || e);
-      }
-    }
+function formatDocNumber(cfg, period, value) {
+  const seq = String(value).padStart(cfg.padding, "0");
+  return cfg.yearly ? `${cfg.prefix}-${period}-${seq}` : `${cfg.prefix}-${seq}`;
+}
 
-    return json({ ok: true, time: nowIso(), hasDB, dbTest, hasASSETS });
-  }
+function numberPeriod(cfg, date) {
+  return cfg.yearly ? String(date || nowIso()).slice(0, 4) : "all";
+}
 
-  // --- Customers (list/search)
-  if (pathname === "/api/customers" && request.method === "GET") {
-    if (!env.emm_invoices) return bad(500, "DB not configured");
+function numberStem(cfg, period) {
+  return cfg.yearly ? `${cfg.prefix}-${period}-` : `${cfg.prefix}-`;
+}
 
-    const q = safeStr(searchParams.get("q") || searchParams.get("search"));
-    const limit = Math.min(Number(searchParams.get("limit") || 25), 100);
+// The highest number in the period already on a document, including ones
+// typed in by hand or restored from a backup, so the counter can start past it.
+async function highestUsedNumber(env, series, cfg, period) {
+  const { table, column } = NUMBER_SERIES[series];
+  const stem = numberStem(cfg, period);
+  const row = await env.emm_invoices
+    .prepare(
+      `SELECT MAX(CAST(substr(${column}, ?) AS INTEGER)) as n FROM ${table}
+       WHERE substr(${column}, 1, ?) = ? AND substr(${column}, ?) != '' AND substr(${column}, ?) NOT GLOB '*[^0-9]*'`
+    )
+    .bind(stem.length + 1, stem.length, stem, stem.length + 1, stem.length + 1)
+    .first();
+  return Number(row?.n || 0);
+}
 
-    let rows;
-    if (q) {
-      const like = `%${q}%`;
-      rows = await env.emm_invoices
-        .prepare(
-          `SELECT id, name, email, address, phone, created_at
-           FROM customers
-           WHERE name LIKE ? OR email LIKE ?
-           ORDER BY id DESC
-           LIMIT ?`
-        )
-        .bind(like, like, limit)
-        .all();
-    } else {
-      rows = await env.emm_invoices
-        .prepare(
-          `SELECT id, name, email, address, phone, created_at
-           FROM customers
-           ORDER BY id DESC
-           LIMIT ?`
-        )
-        .bind(limit)
-        .all();
-    }
+async function peekNextNumber(env, series, date) {
+  const cfg = numberConfig(env, series);
+  const period = numberPeriod(cfg, date);
 
-    return json({ ok: true, customers: rows.results || [] });
-  }
+  const row = await env.emm_invoices
+    .prepare("SELECT last_value FROM number_sequences WHERE series = ? AND period = ?")
+    .bind(series, period)
+    .first();
+  const used = await highestUsedNumber(env, series, cfg, period);
 
-  // --- Invoices list
-  if (pathname === "/api/invoices" && request.method === "GET") {
-    if (!env.emm_invoices) return bad(500, "DB not configured");
-    const limit = Math.min(Number(searchParams.get("limit") || 30), 100);
+  return formatDocNumber(cfg, period, Math.max(Number(row?.last_value || 0), used) + 1);
+}
 
-    const rows = await env.emm_invoices
-      .prepare(
-        `SELECT i.id, i.invoice_no, i.programme, i.total, i.deposit_amount, i.issued_at, i.due_date,
-                i.paid_at, i.receipt_no,
-                c.name as customer_name, c.email as customer_email
-         FROM invoices i
-         LEFT JOIN customers c ON c.id = i.customer_id
-         ORDER BY i.id DESC
-         LIMIT ?`
-      )
-      .bind(limit)
-      .all();
+// { period, value } for a number in this series' format, null for anything else
+function parseDocNumber(cfg, number) {
+  const prefix = cfg.prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const m = String(number ?? "").match(cfg.yearly ? new RegExp(`^${prefix}-(\\d{4})-(\\d+)$`) : new RegExp(`^${prefix}-(\\d+)$`));
+  if (!m) return null;
+  return cfg.yearly ? { period: m[1], value: Number(m[2]) } : { period: "all", value: Number(m[1]) };
+}
 
-    return json({ ok: true, invoices: rows.results || [] });
+// Statements that move each counter past numbers written some other way (a
+// backup restore), to go in the same batch as the rows. numbers: { series: [no, ...] }
+function numberCatchUpStatements(env, numbers) {
+  const highest = new Map();
+  for (const [series, list] of Object.entries(numbers)) {
+    const cfg = numberConfig(env, series);
+    for (const number of list) {
+      const parsed = parseDocNumber(cfg, number);
+      if (!parsed) continue;
+      const key = JSON.stringify([series, parsed.period]);
+      highest.set(key, Math.max(highest.get(key) || 0, parsed.value));
+    }
   }
 
-  // --- Get invoice by id
-  {
-    const m = pathname.match(/^\/api\/invoices\/(\d+)$/);
-    if (m && request.method === "GET") {
-      if (!env.emm_invoices) return bad(500, "DB not configured");
-      const id = Number(m[1]);
-
-      const row = await env.emm_invoices
-        .prepare(
-          `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address, c.phone as customer_phone
-           FROM invoices i
-           LEFT JOIN customers c ON c.id = i.customer_id
-           WHERE i.id = ?`
-        )
-        .bind(id)
-        .first();
+  return [...highest].map(([key, value]) => {
+    const [series, period] = JSON.parse(key);
+    return env.emm_invoices
+      .prepare(
+        `INSERT INTO number_sequences (series, period, last_value, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(series, period) DO UPDATE SET
+           last_value = MAX(last_value, excluded.last_value),
+           updated_at = excluded.updated_at`
+      )
+      .bind(series, period, value, nowIso());
+  });
+}
 
-      if (!row) return bad(404, "Invoice not found");
+// The next number in a series, for the INSERT that takes it. `bump` moves the
+// counter on and goes in the same batch, just before the insert; the insert
+// uses `sql` (bound with `args`) where the number goes. A failed insert rolls
+// the counter back with it, so no number is used up by a row never written.
+async function nextNumberStatements(env, series, date) {
+  const cfg = numberConfig(env, series);
+  const period = numberPeriod(cfg, date);
+  const used = await highestUsedNumber(env, series, cfg, period);
 
-      let items = [];
-      try { items = JSON.parse(row.items_json || "[]"); } catch {}
+  return {
+    bump: env.emm_invoices
+      .prepare(
+        `INSERT INTO number_sequences (series, period, last_value, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(series, period) DO UPDATE SET
+           last_value = MAX(last_value + 1, excluded.last_value),
+           updated_at = excluded.updated_at`
+      )
+      .bind(series, period, used + 1, nowIso()),
+    sql: "(SELECT ? || printf(?, last_value) FROM number_sequences WHERE series = ? AND period = ?)",
+    args: [numberStem(cfg, period), `%0${cfg.padding}d`, series, period],
+  };
+}
 
-      return json({
-        ok: true,
-        invoice: {
-          id: row.id,
-          invoice_no: row.invoice_no,
-          programme: row.programme,
-          subtotal: row.subtotal,
-          travel_fee: row.travel_fee,
-          total: row.total,
-          deposit_amount: row.deposit_amount,
-          notes: row.notes,
-          issued_at: row.issued_at,
-          due_date: row.due_date,
-          paid_at: row.paid_at,
-          paid_method: row.paid_method,
-          paid_ref: row.paid_ref,
-          receipt_no: row.receipt_no,
-          emailed_receipt_at: row.emailed_receipt_at,
-          customer: {
-            id: row.customer_id,
-            name: row.customer_name,
-            email: row.customer_email,
-            address: row.customer_address,
-            phone: row.customer_phone,
-          },
-          items,
-        },
-      });
+// Runs a batch holding nextNumberStatements. The number can only be taken
+// already if someone typed it in since it was worked out; that's a 409.
+async function numberedBatch(env, series, statements) {
+  try {
+    return await env.emm_invoices.batch(statements);
+  } catch (e) {
+    if (/UNIQUE/i.test(String(e?.message))) {
+      throw apiError(409, `The next ${series.replace("_", " ")} number was taken while it was being allocated; please try again`, { series });
     }
+    throw e;
   }
+}
 
-  // --- Upsert invoice (also upserts customer by email)
-  if (pathname === "/api/invoices" && request.method === "POST") {
-    if (!env.emm_invoices) return bad(500, "DB not configured");
+// --- Invoice totals
+// The worker is the source of truth for every figure on an invoice: line
+// amounts, subtotal, travel fee, total and deposit are recomputed on save.
+function round2(n) {
+  return Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+}
 
-    const body = await readJson(request);
-    if (!body) return bad(400, "Invalid JSON");
+function moneyDiffers(a, b) {
+  return Math.abs(Number(a) - Number(b)) >= 0.005;
+}
 
-    const invoiceNo = safeStr(body.invoice_no);
-    if (!invoiceNo) return bad(400, "invoice_no is required");
+function computeInvoiceTotals({ items, travel_fee, deposit_amount, programme }) {
+  const errors = [];
+  const num = (v, field) => {
+    const n = v === undefined || v === null || v === "" ? 0 : Number(v);
+    if (!Number.isFinite(n)) errors.push({ field, error: "must be a number", value: v });
+    return Number.isFinite(n) ? n : 0;
+  };
 
-    const programme = safeStr(body.programme) || "lessons";
+  const lines = (Array.isArray(items) ? items : []).map((it, i) => {
+    const qty = num(it?.qty, `items[${i}].qty`);
+    const unit = round2(num(it?.unit, `items[${i}].unit`));
+    if (qty < 0) errors.push({ field: `items[${i}].qty`, error: "must not be negative", value: qty });
+    return { ...it, qty, unit, amount: round2(qty * unit) };
+  });
 
-    const subtotal = Number(body.subtotal || 0);
-    const travelFee = Number(body.travel_fee || 0);
-    const total = Number(body.total || 0);
-    const depositAmount = Number(body.deposit_amount || 0);
+  const subtotal = round2(lines.reduce((sum, it) => sum + it.amount, 0));
+  const travelFee = round2(num(travel_fee, "travel_fee"));
+  if (travelFee < 0) errors.push({ field: "travel_fee", error: "must not be negative", value: travelFee });
 
-    const dueDate = safeStr(body.due_date) || null;
-    const notes = safeStr(body.notes) || null;
+  const total = round2(subtotal + travelFee);
 
-    const items = Array.isArray(body.items) ? body.items : [];
-    const itemsJson = JSON.stringify(items);
+  // Deposits only apply to the school band programme (same rule as the form)
+  const deposit = programme === "school_band" ? round2(num(deposit_amount, "deposit_amount")) : 0;
+  if (deposit < 0) errors.push({ field: "deposit_amount", error: "must not be negative", value: deposit });
+  if (deposit > total) errors.push({ field: "deposit_amount", error: "must not exceed the total", value: deposit });
 
-    const cust = body.customer || {};
-    const custName = safeStr(cust.name);
-    const custEmail = safeStr(cust.email);
-    const custAddress = safeStr(cust.address);
-    const custPhone = safeStr(cust.phone);
+  return {
+    errors,
+    items: lines,
+    totals: {
+      subtotal,
+      travel_fee: travelFee,
+      total,
+      deposit_amount: deposit,
+      balance_due: round2(Math.max(0, total - deposit)),
+    },
+  };
+}
 
-    if (!custName) return bad(400, "Customer name is required");
+// Fields where what the browser sent doesn't match the recomputed figures.
+function totalsMismatches(body, computed) {
+  const out = [];
+  const check = (field, submitted, expected) => {
+    if (submitted === undefined || submitted === null || submitted === "") return;
+    if (moneyDiffers(submitted, expected)) out.push({ field, submitted: Number(submitted), expected });
+  };
 
-    // Upsert customer
-    let customerId = null;
+  (Array.isArray(body.items) ? body.items : []).forEach((it, i) => {
+    check(`items[${i}].amount`, it?.amount, computed.items[i].amount);
+  });
+  check("subtotal", body.subtotal, computed.totals.subtotal);
+  check("total", body.total, computed.totals.total);
+  check("deposit_amount", body.deposit_amount, computed.totals.deposit_amount);
 
-    if (custEmail) {
-      const existing = await env.emm_invoices
-        .prepare("SELECT id FROM customers WHERE email = ? LIMIT 1")
-        .bind(custEmail)
-        .first();
+  return out;
+}
 
-      if (existing?.id) {
-        customerId = existing.id;
-        await env.emm_invoices
-          .prepare("UPDATE customers SET name = ?, address = ?, phone = ? WHERE id = ?")
-          .bind(custName, custAddress || null, custPhone || null, customerId)
-          .run();
-      } else {
-        const ins = await env.emm_invoices
-          .prepare("INSERT INTO customers (name, email, address, phone) VALUES (?, ?, ?, ?)")
-          .bind(custName, custEmail, custAddress || null, custPhone || null)
-          .run();
-        customerId = ins.meta?.last_row_id ?? null;
-      }
-    } else {
-      // No email: insert a new customer record (can duplicate, but fine)
-      const ins = await env.emm_invoices
-        .prepare("INSERT INTO customers (name, email, address, phone) VALUES (?, ?, ?, ?)")
-        .bind(custName, null, custAddress || null, custPhone || null)
-        .run();
-      customerId = ins.meta?.last_row_id ?? null;
-    }
+// --- Customers
+// Invoices point at a customer row. Saving an invoice reuses the customer it
+// names by id, then one with the same email, then an identical email-less
+// record; otherwise it adds a new row. Duplicates that slip through are
+// folded together with POST /api/customers/merge.
 
-    // Upsert invoice by invoice_no
-    await env.emm_invoices
-      .prepare(
-        `INSERT INTO invoices (
-          invoice_no, customer_id, programme,
-          subtotal, travel_fee, total,
-          deposit_amount, items_json, notes, due_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(invoice_no) DO UPDATE SET
-          customer_id = excluded.customer_id,
-          programme = excluded.programme,
-          subtotal = excluded.subtotal,
-          travel_fee = excluded.travel_fee,
-          total = excluded.total,
-          deposit_amount = excluded.deposit_amount,
-          items_json = excluded.items_json,
-          notes = excluded.notes,
-          due_date = excluded.due_date`
-      )
-      .bind(
-        invoiceNo,
-        customerId,
-        programme,
-        subtotal,
-        travelFee,
-        total,
-        depositAmount,
-        itemsJson,
-        notes,
-        dueDate
-      )
-      .run();
+// Phone numbers are compared on their digits alone
+function phoneDigits(value) {
+  return String(value || "").replace(/\D/g, "");
+}
 
-    const saved = await env.emm_invoices
-      .prepare("SELECT id FROM invoices WHERE invoice_no = ? LIMIT 1")
-      .bind(invoiceNo)
-      .first();
+const PHONE_DIGITS_SQL = `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(c.phone, ''), ' ', ''), '-', ''), '(', ''), ')', ''), '+', '')`;
 
-    return json({ ok: true, id: saved?.id, invoice_no: invoiceNo, customer_id: customerId });
-  }
+const CUSTOMER_COLUMNS = `c.id, c.name, c.email, c.address, c.phone, c.created_at,
+  (SELECT COUNT(*) FROM invoices i WHERE i.customer_id = c.id) as invoice_count`;
 
-  // --- Mark paid (auto emails receipt)
-  {
-    const m = pathname.match(/^\/api\/invoices\/(\d+)\/mark-paid$/);
-    if (m && request.method === "POST") {
-      if (!env.emm_invoices) return bad(500, "DB not configured");
-      const id = Number(m[1]);
-      const body = (await readJson(request)) || {};
+// Fields missing from the body keep their current value
+function readCustomerBody(body, current = {}) {
+  const pick = (k) => safeStr(body[k] !== undefined ? body[k] : current[k]);
+  const customer = {
+    name: pick("name"),
+    email: pick("email") || null,
+    address: pick("address") || null,
+    phone: pick("phone") || null,
+  };
+  if (!customer.name) return { error: "Customer name is required" };
+  if (customer.email && !/^[^\s@]+@[^\s@]+$/.test(customer.email)) return { error: "Customer email is invalid" };
+  return { customer };
+}
 
-      const paidAt = safeStr(body.paid_at) || nowIso();
-      const paidMethod = safeStr(body.paid_method) || "Bank Transfer";
-      const paidRef = safeStr(body.paid_ref) || null;
+async function loadCustomer(env, id) {
+  return env.emm_invoices.prepare(`SELECT ${CUSTOMER_COLUMNS} FROM customers c WHERE c.id = ?`).bind(id).first();
+}
 
-      // Generate receipt number if missing
-      const existing = await env.emm_invoices
-        .prepare("SELECT receipt_no, invoice_no FROM invoices WHERE id = ?")
-        .bind(id)
-        .first();
-      if (!existing) return bad(404, "Invoice not found");
+async function customerWithEmail(env, email, exceptId = 0) {
+  if (!email) return null;
+  return env.emm_invoices
+    .prepare("SELECT id, name FROM customers WHERE LOWER(email) = LOWER(?) AND id <> ? LIMIT 1")
+    .bind(email, exceptId)
+    .first();
+}
 
-      const receiptNo =
-        existing.receipt_no ||
-        `RCPT-${existing.invoice_no}-${paidAt.slice(0, 10).replaceAll("-", "")}`;
+// Other records that look like the same person: same name, email or phone
+async function findDuplicateCustomers(env, customer) {
+  const digits = phoneDigits(customer.phone);
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT ${CUSTOMER_COLUMNS}
+       FROM customers c
+       WHERE c.id <> ?
+         AND (LOWER(TRIM(c.name)) = LOWER(TRIM(?))
+              OR (? <> '' AND LOWER(c.email) = LOWER(?))
+              OR (LENGTH(?) >= 6 AND ${PHONE_DIGITS_SQL} = ?))
+       ORDER BY c.id`
+    )
+    .bind(customer.id, customer.name, customer.email || "", customer.email || "", digits, digits)
+    .all();
+  return rows.results || [];
+}
 
-      await env.emm_invoices
-        .prepare(
-          `UPDATE invoices
-           SET paid_at = ?, paid_method = ?, paid_ref = ?, receipt_no = ?
-           WHERE id = ?`
-        )
-        .bind(paidAt, paidMethod, paidRef, receiptNo, id)
-        .run();
+// The customer an invoice save should point at, creating or updating it as needed.
+// A record picked by id is never renamed or given a new email here (that's
+// PUT /api/customers/:id): if the form has a different name or email, the
+// invoice goes to the customer they describe, or the save is refused when that
+// would mean renaming someone.
+async function saveInvoiceCustomer(env, cust) {
+  const db = env.emm_invoices;
+  const id = Number(cust.id || 0) || null;
 
-      // Auto email receipt (if configured)
-      let emailed = false;
-      let emailError = null;
+  let current = null;
+  let edited = false; // the form has a different name or email from the record picked by id
+  if (id) {
+    current = await db.prepare("SELECT * FROM customers WHERE id = ?").bind(id).first();
+    if (!current) return { status: 404, error: `Customer ${id} not found` };
+
+    edited =
+      (cust.name !== undefined && safeStr(cust.name).toLowerCase() !== safeStr(current.name).toLowerCase()) ||
+      (cust.email !== undefined && safeStr(cust.email).toLowerCase() !== safeStr(current.email).toLowerCase());
+    if (edited) current = null;
+  }
+
+  if (!current && safeStr(cust.email)) {
+    current = await db
+      .prepare("SELECT * FROM customers WHERE LOWER(email) = LOWER(?) LIMIT 1")
+      .bind(safeStr(cust.email))
+      .first();
+  } else if (!current) {
+    current = await db
+      .prepare(
+        `SELECT * FROM customers
+         WHERE email IS NULL AND LOWER(TRIM(name)) = LOWER(?)
+           AND COALESCE(address, '') = ? AND COALESCE(phone, '') = ?
+         ORDER BY id LIMIT 1`
+      )
+      .bind(safeStr(cust.name), safeStr(cust.address), safeStr(cust.phone))
+      .first();
+  }
+  // The email is someone's under another name: that's not renamed here either
+  if (edited && current && cust.name !== undefined && safeStr(current.name).toLowerCase() !== safeStr(cust.name).toLowerCase()) {
+    return current.id === id
+      ? { status: 409, error: `That's ${current.name} under a new name; save the customer to rename them`, conflict_id: id }
+      : { status: 409, error: `${safeStr(cust.email)} belongs to another customer (${current.name}); merge them first`, conflict_id: current.id };
+  }
+
+  const { customer, error } = readCustomerBody(cust, current || {});
+  if (error) return { status: 400, error };
+
+  if (!current) {
+    const ins = await db
+      .prepare("INSERT INTO customers (name, email, address, phone) VALUES (?, ?, ?, ?)")
+      .bind(customer.name, customer.email, customer.address, customer.phone)
+      .run();
+    return { id: ins.meta?.last_row_id ?? null };
+  }
+
+  const clash = await customerWithEmail(env, customer.email, current.id);
+  if (clash) {
+    return { status: 409, error: `${customer.email} belongs to another customer (${clash.name}); merge them first`, conflict_id: clash.id };
+  }
+
+  await db
+    .prepare("UPDATE customers SET name = ?, email = ?, address = ?, phone = ? WHERE id = ?")
+    .bind(customer.name, customer.email, customer.address, customer.phone, current.id)
+    .run();
+  return { id: current.id };
+}
+
+// Moves every invoice, schedule and email from the duplicates onto `into` and
+// deletes them. Any contact details the survivor lacks are taken from the duplicates.
+async function mergeCustomers(env, into, duplicates) {
+  const db = env.emm_invoices;
+  const ids = duplicates.map((d) => d.id);
+  const marks = ids.map(() => "?").join(", ");
+
+  const moved = await db
+    .prepare(`SELECT COUNT(*) as n FROM invoices WHERE customer_id IN (${marks})`)
+    .bind(...ids)
+    .first();
+
+  const fill = (field) => into[field] || duplicates.map((d) => d[field]).find(Boolean) || null;
+
+  await db.batch([
+    db.prepare(`UPDATE invoices SET customer_id = ? WHERE customer_id IN (${marks})`).bind(into.id, ...ids),
+    db.prepare(`UPDATE schedules SET customer_id = ? WHERE customer_id IN (${marks})`).bind(into.id, ...ids),
+    db.prepare(`UPDATE email_outbox SET customer_id = ? WHERE customer_id IN (${marks})`).bind(into.id, ...ids),
+    db.prepare(`DELETE FROM customers WHERE id IN (${marks})`).bind(...ids),
+    db
+      .prepare("UPDATE customers SET email = ?, address = ?, phone = ? WHERE id = ?")
+      .bind(fill("email"), fill("address"), fill("phone"), into.id),
+  ]);
+
+  return { invoicesMoved: Number(moved?.n || 0) };
+}
+
+// --- Business profiles
+// Who the paperwork is from. Every invoice is issued under a profile (the
+// business itself, or a tutor working under it) and its documents and emails
+// take the name, address, logo, bank details, payment terms and brand colour
+// from that profile. One profile is the default: new invoices that don't pick
+// one get it, as do statements for customers with no invoices. Logos are kept
+// in D1 and served publicly from /i/logo/:id, as customers see them in emails.
+const DEFAULT_BUSINESS_PROFILE = {
+  name: "Elliot’s Mobile Music",
+  address: "Pudsey, UK",
+  email: "elliotmobilemusic@gmail.com",
+  phone: "07368 975144",
+  deposit_label: "Stripe deposit paid",
+  brand_colour: "#4338ca",
+};
+
+const PROFILE_FIELDS = [
+  "name", "address", "email", "phone",
+  "bank_account_name", "bank_sort_code", "bank_account_no",
+  "payment_terms", "payment_instructions", "deposit_label", "brand_colour",
+];
+const LOGO_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const MAX_LOGO_BYTES = 200 * 1024;
+
+const PROFILE_COLUMNS = `p.id, ${PROFILE_FIELDS.map((f) => `p.${f}`).join(", ")}, p.logo_type, p.logo_updated_at,
+  p.is_default, p.created_at, p.updated_at`;
+
+// Fields missing from the body keep their current value. logo is a data: URL
+// to replace it, null or "" to remove it; leave it out to keep the current one.
+function readProfileBody(body, current = {}) {
+  const pick = (k) => safeStr(body[k] !== undefined ? body[k] : current[k]);
+  const profile = Object.fromEntries(PROFILE_FIELDS.map((f) => [f, pick(f) || null]));
+
+  const errors = [];
+  if (!profile.name) errors.push({ field: "name", error: "is required" });
+  if (profile.email && !/^[^\s@]+@[^\s@]+$/.test(profile.email)) errors.push({ field: "email", error: "is invalid" });
+  if (profile.brand_colour && !/^#[0-9a-f]{6}$/i.test(profile.brand_colour)) {
+    errors.push({ field: "brand_colour", error: "must be a hex colour like #4338ca" });
+  }
+  if (profile.bank_sort_code && !/^\d{2}[- ]?\d{2}[- ]?\d{2}$/.test(profile.bank_sort_code)) {
+    errors.push({ field: "bank_sort_code", error: "must be six digits, like 12-34-56" });
+  }
+  if (profile.bank_account_no && !/^\d{8}$/.test(profile.bank_account_no.replace(/\s/g, ""))) {
+    errors.push({ field: "bank_account_no", error: "must be eight digits" });
+  }
+
+  if (body.logo !== undefined) {
+    const m = body.logo ? /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(body.logo)) : null;
+    if (!body.logo) {
+      profile.logo = null;
+    } else if (!m || !LOGO_TYPES.includes(m[1])) {
+      errors.push({ field: "logo", error: "must be a PNG, JPEG, GIF or WebP image as a data: URL" });
+    } else {
+      const data = m[2].replace(/\s/g, "");
+      if ((data.length * 3) / 4 > MAX_LOGO_BYTES) errors.push({ field: "logo", error: `must be under ${MAX_LOGO_BYTES / 1024}KB` });
+      else profile.logo = { type: m[1], data };
+    }
+  }
+  return { profile, errors };
+}
+
+function profileLogoPath(profile) {
+  return profile?.id && profile.logo_type ? `/i/logo/${profile.id}?v=${encodeURIComponent(profile.logo_updated_at || "")}` : null;
+}
+
+// The profile as the API shows it: no logo bytes, just where to fetch it
+function publicProfile(profile) {
+  return { ...profile, is_default: !!profile.is_default, logo_url: profileLogoPath(profile) };
+}
+
+async function listBusinessProfiles(env) {
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT ${PROFILE_COLUMNS}, (SELECT COUNT(*) FROM invoices i WHERE i.profile_id = p.id) as invoice_count
+       FROM business_profiles p
+       ORDER BY p.is_default DESC, p.name, p.id`
+    )
+    .all();
+  return (rows.results || []).map(publicProfile);
+}
+
+// The profile with that id, else the default
+async function loadBusinessProfile(env, id = null) {
+  const row = id
+    ? await env.emm_invoices.prepare(`SELECT ${PROFILE_COLUMNS} FROM business_profiles p WHERE p.id = ?`).bind(id).first()
+    : null;
+  return row || env.emm_invoices.prepare(`SELECT ${PROFILE_COLUMNS} FROM business_profiles p ORDER BY p.is_default DESC, p.id LIMIT 1`).first();
+}
+
+async function saveBusinessProfile(env, id, profile) {
+  const now = nowIso();
+  const values = PROFILE_FIELDS.map((f) => profile[f]);
+  const logo = profile.logo === undefined ? [] : [profile.logo?.type ?? null, profile.logo?.data ?? null, profile.logo ? now : null];
+  const logoColumns = profile.logo === undefined ? [] : ["logo_type", "logo_data", "logo_updated_at"];
+
+  if (id) {
+    await env.emm_invoices
+      .prepare(
+        `UPDATE business_profiles SET ${[...PROFILE_FIELDS, ...logoColumns].map((c) => `${c} = ?`).join(", ")}, updated_at = ?
+         WHERE id = ?`
+      )
+      .bind(...values, ...logo, now, id)
+      .run();
+    return id;
+  }
+
+  const columns = [...PROFILE_FIELDS, ...logoColumns, "is_default", "created_at", "updated_at"];
+  const anyProfile = await env.emm_invoices.prepare("SELECT id FROM business_profiles LIMIT 1").first();
+  const ins = await env.emm_invoices
+    .prepare(`INSERT INTO business_profiles (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`)
+    .bind(...values, ...logo, anyProfile ? 0 : 1, now, now)
+    .run();
+  return ins.meta?.last_row_id;
+}
+
+async function setDefaultProfile(env, id) {
+  await env.emm_invoices.batch([
+    env.emm_invoices.prepare("UPDATE business_profiles SET is_default = 0 WHERE id != ?").bind(id),
+    env.emm_invoices.prepare("UPDATE business_profiles SET is_default = 1 WHERE id = ?").bind(id),
+  ]);
+}
+
+// A colour mixed towards white (amount 0–1), for backgrounds and rules under the brand colour
+function tintColour(hex, amount) {
+  const n = parseInt(hex.slice(1), 16);
+  const mix = (c) => Math.round(c + (255 - c) * amount).toString(16).padStart(2, "0");
+  return `#${mix(n >> 16)}${mix((n >> 8) & 255)}${mix(n & 255)}`;
+}
+
+// What the renderers need from a profile. Bank details and terms follow the
+// payment instructions under "How to pay". APP_URL makes the logo's address
+// absolute for emails; without it emails go out with no logo.
+function businessDetails(env, profile) {
+  const p = profile || DEFAULT_BUSINESS_PROFILE;
+  const colour = p.brand_colour || DEFAULT_BUSINESS_PROFILE.brand_colour;
+  const bank = [
+    p.bank_account_name && `Account name: ${p.bank_account_name}`,
+    p.bank_sort_code && `Sort code: ${p.bank_sort_code}`,
+    p.bank_account_no && `Account number: ${p.bank_account_no}`,
+  ].filter(Boolean);
+  const logoPath = profileLogoPath(p);
+  const appUrl = safeStr(env.APP_URL).replace(/\/+$/, "");
+
+  return {
+    name: p.name,
+    addressLines: safeStr(p.address).split("\n").map((l) => l.trim()).filter(Boolean),
+    contactLines: [p.email && `Email: ${p.email}`, p.phone && `Phone: ${p.phone}`].filter(Boolean),
+    email: p.email || null,
+    colour,
+    colourLight: tintColour(colour, 0.9),
+    colourRule: tintColour(colour, 0.6),
+    logoPath,
+    logoUrl: logoPath && appUrl ? `${appUrl}${logoPath}` : null,
+    depositLabel: p.deposit_label || "Deposit paid",
+    paymentInstructions: [
+      p.payment_instructions || safeStr(env.PAYMENT_INSTRUCTIONS) || DEFAULT_PAYMENT_INSTRUCTIONS,
+      bank.join("\n"),
+      p.payment_terms,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+  };
+}
+
+async function handleLogo(request, env, url) {
+  const m = url.pathname.match(/^\/i\/logo\/(\d+)$/);
+  if (!m || !env.emm_invoices) return new Response("Not found", { status: 404 });
+  if (request.method !== "GET" && request.method !== "HEAD") return new Response("Method not allowed", { status: 405 });
+  await ensureSchema(env);
+
+  const row = await env.emm_invoices
+    .prepare("SELECT logo_type, logo_data FROM business_profiles WHERE id = ? AND logo_data IS NOT NULL")
+    .bind(Number(m[1]))
+    .first();
+  if (!row) return new Response("Not found", { status: 404 });
+
+  const binary = atob(row.logo_data);
+  return new Response(request.method === "HEAD" ? null : pdfBytes(binary), {
+    headers: {
+      "content-type": row.logo_type,
+      // The URL carries ?v= of when it was uploaded, so a new logo gets a new URL
+      "cache-control": url.searchParams.has("v") ? "public, max-age=31536000, immutable" : "public, max-age=300",
+      "x-content-type-options": "nosniff",
+    },
+  });
+}
+
+// The right-hand block of every HTML document's header
+function businessHeaderHtml(business) {
+  return `<div style="text-align:right;color:#374151;">
+        ${business.logoUrl ? `<img src="${escapeHtml(business.logoUrl)}" alt="" style="max-height:56px;max-width:180px;margin-bottom:6px;">` : ""}
+        <div style="font-weight:800;">${escapeHtml(business.name)}</div>
+        ${business.addressLines.map((l) => `<div style="font-size:13px;">${escapeHtml(l)}</div>`).join("")}
+      </div>`;
+}
+
+// --- Price catalogue
+// catalog_items holds the current details of each entry; every change to its
+// name, price, programme or effective date adds a row to catalog_item_versions,
+// so invoice items can keep pointing at the exact version they were priced from.
+const DEFAULT_CATALOG = [
+  { name: "Standard Lesson (30 Mins)", unit_price: 15, programme: "lessons" },
+  { name: "Standard Lesson (60 Mins)", unit_price: 30, programme: "lessons" },
+  { name: "Standard Lesson (120 Mins)", unit_price: 50, programme: "lessons" },
+  { name: "Introductory Lesson", unit_price: 10, programme: "lessons" },
+  { name: "Free Taster Session", unit_price: 0, programme: "lessons" },
+  { name: "Cancellation Fee (24 Hour Policy)", unit_price: 0, programme: "lessons" },
+  { name: "School Band Programme (Per session, per child)", unit_price: 15, programme: "school_band" },
+  { name: "School Band Programme (Term block – 6 weeks, per child) — full price (£90)", unit_price: 90, programme: "school_band" },
+  { name: "Custom Item", unit_price: 0, programme: null },
+  { name: "Stripe deposit", unit_price: 10, programme: "school_band", kind: "deposit" },
+];
+
+const CATALOG_KINDS = new Set(["item", "deposit"]);
+
+function readCatalogBody(body, current = {}) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : current[k]);
+  const item = {
+    name: safeStr(pick("name")),
+    unit_price: Number(pick("unit_price") ?? 0),
+    programme: safeStr(pick("programme")) || null,
+    kind: safeStr(pick("kind")) || "item",
+    active: pick("active") === undefined ? 1 : pick("active") ? 1 : 0,
+    effective_from: safeStr(pick("effective_from")).slice(0, 10) || null,
+    sort_order: Number(pick("sort_order") || 0),
+  };
+
+  if (!item.name) return { error: "name is required" };
+  if (!Number.isFinite(item.unit_price)) return { error: "unit_price must be a number" };
+  if (!CATALOG_KINDS.has(item.kind)) return { error: "kind must be 'item' or 'deposit'" };
+  if (item.effective_from && !/^\d{4}-\d{2}-\d{2}$/.test(item.effective_from)) {
+    return { error: "effective_from must be YYYY-MM-DD" };
+  }
+  return { item };
+}
+
+async function insertCatalogItem(env, item, now = nowIso()) {
+  const ins = await env.emm_invoices
+    .prepare(
+      `INSERT INTO catalog_items (name, unit_price, programme, kind, active, effective_from, version, sort_order, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`
+    )
+    .bind(item.name, item.unit_price, item.programme, item.kind || "item", item.active ?? 1, item.effective_from, item.sort_order || 0, now, now)
+    .run();
+  const id = ins.meta?.last_row_id;
+
+  await env.emm_invoices
+    .prepare(
+      `INSERT INTO catalog_item_versions (item_id, version, name, unit_price, programme, effective_from, created_at)
+       VALUES (?, 1, ?, ?, ?, ?, ?)`
+    )
+    .bind(id, item.name, item.unit_price, item.programme, item.effective_from, now)
+    .run();
+
+  return id;
+}
+
+// Each entry as it was priced on `date`: the newest version already in effect.
+async function listCatalog(env, { date, includeInactive = false } = {}) {
+  const on = safeStr(date).slice(0, 10) || nowIso().slice(0, 10);
+
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT ci.id, v.version, v.name, v.unit_price, v.programme, ci.kind, ci.active,
+              v.effective_from, ci.sort_order
+       FROM catalog_items ci
+       JOIN catalog_item_versions v ON v.item_id = ci.id
+       WHERE v.version = (
+         SELECT v2.version FROM catalog_item_versions v2
+         WHERE v2.item_id = ci.id AND (v2.effective_from IS NULL OR v2.effective_from <= ?)
+         ORDER BY v2.effective_from DESC, v2.version DESC
+         LIMIT 1
+       )
+       ${includeInactive ? "" : "AND ci.active = 1"}
+       ORDER BY ci.sort_order, ci.id`
+    )
+    .bind(on)
+    .all();
+
+  return (rows.results || []).map((r) => ({ ...r, active: !!r.active }));
+}
+
+// --- Payments ledger
+// Every deposit and payment against an invoice is its own row with its own
+// receipt number. The invoice's paid_at/paid_method/paid_ref/receipt_no are
+// kept in step with the ledger for the list view and older clients.
+// Refunds are "refund" rows with a negative amount, written by the credit note
+// that gave the money back, so summing a ledger always gives what's held.
+const PAYMENT_KINDS = new Set(["payment", "deposit"]);
+
+// Credit notes raised against invoice i, for queries over invoices
+const CREDITED_SQL = "(SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn WHERE cn.invoice_id = i.id)";
+
+async function loadPayments(env, invoiceId) {
+  const rows = await env.emm_invoices
+    .prepare("SELECT * FROM payments WHERE invoice_id = ? ORDER BY paid_at, id")
+    .bind(invoiceId)
+    .all();
+  return rows.results || [];
+}
+
+// What's still owed once credit notes come off the total; a void invoice owes nothing.
+function amountOwed(total, { credited = 0, voided = false } = {}) {
+  return voided ? 0 : round2(Number(total || 0) - Number(credited || 0));
+}
+
+function paymentStatus(total, amountPaid, { credited = 0, voided = false } = {}) {
+  if (voided) return "void";
+  const t = amountOwed(total, { credited });
+  const p = round2(amountPaid);
+  if (round2(credited) > 0 && t <= 0 && p <= 0) return "credited";
+  if (p <= 0 && t > 0) return "unpaid";
+  if (p < t) return "part-paid";
+  if (p > t) return "overpaid";
+  return "paid";
+}
+
+function paymentSummary(total, payments, adjustments = {}) {
+  const amountPaid = round2(payments.reduce((sum, p) => sum + Number(p.amount || 0), 0));
+  return {
+    amount_paid: amountPaid,
+    credited: round2(adjustments.credited || 0),
+    balance: round2(amountOwed(total, adjustments) - amountPaid),
+    payment_status: paymentStatus(total, amountPaid, adjustments),
+  };
+}
+
+// The figures a ledger summary needs from an invoice row and its credit notes
+function invoiceAdjustments(row, creditNotes) {
+  return {
+    credited: round2(creditNotes.reduce((sum, cn) => sum + Number(cn.amount || 0), 0)),
+    voided: !!row.voided_at,
+  };
+}
+
+// Receipts are only ever for money coming in
+function latestReceiptable(payments) {
+  return payments.filter((p) => p.kind !== "refund").pop() || null;
+}
+
+// The invoice's stored state (see "Invoice lifecycle") and legacy paid_*
+// columns, as its ledger and credit notes have them.
+function ledgerFields(invoice, payments, creditNotes) {
+  const summary = paymentSummary(invoice.total, payments, invoiceAdjustments(invoice, creditNotes));
+  const latest = latestReceiptable(payments);
+  const settled = summary.payment_status === "paid" || summary.payment_status === "overpaid";
+  return {
+    summary,
+    fields: {
+      state: invoiceState(invoice, summary),
+      paid_at: settled ? latest?.paid_at ?? null : null,
+      paid_method: settled ? latest?.method ?? null : null,
+      paid_ref: settled ? latest?.ref ?? null : null,
+      receipt_no: latest?.receipt_no ?? null,
+    },
+  };
+}
+
+// Refresh the invoice's stored state and paid_* columns from its ledger.
+async function syncInvoicePayments(env, invoiceId) {
+  const invoice = await env.emm_invoices
+    .prepare("SELECT id, total, voided_at, sent_at, customer_viewed_at FROM invoices WHERE id = ?")
+    .bind(invoiceId)
+    .first();
+  if (!invoice) return null;
+
+  const payments = await loadPayments(env, invoiceId);
+  const { summary, fields } = ledgerFields(invoice, payments, await loadCreditNotes(env, invoiceId));
+  await updateStatement(env.emm_invoices, "invoices", invoiceId, fields).run();
+
+  return { ...summary, state: fields.state, payments };
+}
+
+async function recordPayment(env, invoiceId, { amount, kind = "payment", paidAt, method, ref, source = "manual" }) {
+  const receipt = await nextNumberStatements(env, "receipt");
+  const now = nowIso();
+
+  const [, ins] = await numberedBatch(env, "receipt", [
+    receipt.bump,
+    env.emm_invoices
+      .prepare(
+        `INSERT INTO payments (invoice_id, kind, amount, paid_at, method, ref, receipt_no, source, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ${receipt.sql}, ?, ?)
+         RETURNING id`
+      )
+      .bind(invoiceId, kind, round2(amount), paidAt || now, method || null, ref || null, ...receipt.args, source, now),
+  ]);
+
+  const payment = await env.emm_invoices
+    .prepare("SELECT * FROM payments WHERE id = ?")
+    .bind(ins.results[0].id)
+    .first();
+  const summary = await syncInvoicePayments(env, invoiceId);
+
+  return { payment, summary };
+}
+
+// Editing the form can't change a deposit whose receipt has gone out: the
+// customer holds that receipt. The 409 for an edit that would, else null.
+async function issuedDepositChange(env, invoiceId, depositAmount) {
+  const issued = await env.emm_invoices
+    .prepare(
+      `SELECT p.id, p.amount, p.receipt_no FROM payments p
+       WHERE p.invoice_id = ? AND p.kind = 'deposit' AND p.source = 'form' AND p.receipt_no IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM payments s WHERE s.invoice_id = p.invoice_id AND s.kind = 'deposit' AND s.source = 'stripe')
+       LIMIT 1`
+    )
+    .bind(invoiceId)
+    .first();
+  if (!issued || !moneyDiffers(issued.amount, depositAmount)) return null;
+  return {
+    status: 409,
+    error: `The ${gbp(issued.amount)} deposit already has receipt ${issued.receipt_no}; record any difference in the payments ledger (a payment, or a credit note to refund) instead`,
+    payment_id: issued.id,
+    receipt_no: issued.receipt_no,
+  };
+}
+
+// The form's "Stripe deposit paid" figure is kept as a deposit in the ledger,
+// unless the Stripe webhook has already recorded the real one. One with a
+// receipt issued is left alone (see issuedDepositChange).
+async function syncFormDeposit(env, invoiceId, depositAmount) {
+  const fromStripe = await env.emm_invoices
+    .prepare("SELECT id FROM payments WHERE invoice_id = ? AND kind = 'deposit' AND source = 'stripe' LIMIT 1")
+    .bind(invoiceId)
+    .first();
+  if (fromStripe) {
+    await env.emm_invoices
+      .prepare("DELETE FROM payments WHERE invoice_id = ? AND kind = 'deposit' AND source = 'form'")
+      .bind(invoiceId)
+      .run();
+    await syncInvoicePayments(env, invoiceId);
+    return;
+  }
+
+  const existing = await env.emm_invoices
+    .prepare("SELECT id, amount, receipt_no FROM payments WHERE invoice_id = ? AND kind = 'deposit' AND source = 'form' LIMIT 1")
+    .bind(invoiceId)
+    .first();
+
+  if (depositAmount > 0 && !existing) {
+    await recordPayment(env, invoiceId, { amount: depositAmount, kind: "deposit", method: "Stripe", source: "form" });
+    return;
+  }
+  const editable = existing && !existing.receipt_no;
+  if (editable && depositAmount <= 0) {
+    await env.emm_invoices.prepare("DELETE FROM payments WHERE id = ?").bind(existing.id).run();
+  } else if (editable && moneyDiffers(existing.amount, depositAmount)) {
+    await env.emm_invoices.prepare("UPDATE payments SET amount = ? WHERE id = ?").bind(depositAmount, existing.id).run();
+  }
+  await syncInvoicePayments(env, invoiceId);
+}
+
+// Send the receipt for one payment (the latest if none given). It's stamped
+// once delivered (see "Email outbox").
+async function emailPaymentReceipt(env, invoiceId, paymentId = null) {
+  return sendReceiptEmail({ env, invoiceId, paymentId });
+}
+
+// --- Credit notes and voids
+// A credit note is its own numbered document that takes some or all of an
+// invoice's total off what the customer owes. When money goes back as well,
+// the refund is written to the payments ledger alongside it. Voiding cancels
+// an invoice outright, but only once nothing is held against it, so anything
+// paid has to be refunded on a credit note first. Nothing is deleted either
+// way, and receipt numbers already issued stay with their payments.
+async function loadCreditNotes(env, invoiceId) {
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT cn.*, -p.amount as refund_amount, p.method as refund_method, p.ref as refund_ref, p.paid_at as refunded_at
+       FROM credit_notes cn
+       LEFT JOIN payments p ON p.credit_note_id = cn.id AND p.kind = 'refund'
+       WHERE cn.invoice_id = ?
+       ORDER BY cn.issued_at, cn.id`
+    )
+    .bind(invoiceId)
+    .all();
+  return rows.results || [];
+}
+
+// Checks a credit note request against the invoice as it stands: the credit
+// can't exceed what's left of the total, nor the refund what's been paid.
+function readCreditNoteBody(body, { total, summary }) {
+  const creditable = round2(Number(total || 0) - summary.credited);
+  const amount = body.amount === undefined || body.amount === null || body.amount === "" ? creditable : round2(body.amount);
+  const refundMethod = safeStr(body.refund_method);
+
+  if (creditable <= 0) return { status: 409, error: "Invoice has already been credited in full" };
+  if (!Number.isFinite(amount) || amount <= 0) return { error: "amount must be a positive number" };
+  if (amount > creditable) return { status: 409, error: `Only ${gbp(creditable)} of this invoice is left to credit` };
+
+  let refund = null;
+  if (refundMethod) {
+    const refundAmount =
+      body.refund_amount === undefined || body.refund_amount === null || body.refund_amount === ""
+        ? Math.min(amount, summary.amount_paid)
+        : round2(body.refund_amount);
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      return { status: 409, error: "Nothing has been paid on this invoice to refund" };
+    }
+    if (refundAmount > amount) return { error: "refund_amount can't be more than the credit note" };
+    if (refundAmount > summary.amount_paid) {
+      return { status: 409, error: `Only ${gbp(summary.amount_paid)} has been paid on this invoice` };
+    }
+    const refundedAt = safeStr(body.refunded_at) || null;
+    if (refundedAt && Number.isNaN(Date.parse(refundedAt))) return { error: "refunded_at must be a date" };
+    refund = { amount: refundAmount, method: refundMethod, ref: safeStr(body.refund_ref) || null, refundedAt };
+  } else if (body.refund_amount !== undefined && body.refund_amount !== null && body.refund_amount !== "") {
+    return { error: "refund_method is required to refund" };
+  }
+
+  return { creditNote: { amount, reason: safeStr(body.reason) || null, refund } };
+}
+
+async function issueCreditNote(env, invoiceId, { amount, reason, refund }) {
+  const db = env.emm_invoices;
+  const number = await nextNumberStatements(env, "credit_note");
+  const now = nowIso();
+
+  const statements = [
+    number.bump,
+    db
+      .prepare(
+        `INSERT INTO credit_notes (credit_no, invoice_id, amount, reason, issued_at, created_at)
+         VALUES (${number.sql}, ?, ?, ?, ?, ?)
+         RETURNING credit_no`
+      )
+      .bind(...number.args, invoiceId, amount, reason, now, now),
+  ];
+  if (refund) {
+    statements.push(
+      db
+        .prepare(
+          `INSERT INTO payments (invoice_id, kind, amount, paid_at, method, ref, source, created_at, credit_note_id)
+           SELECT ?, 'refund', ?, ?, ?, COALESCE(?, credit_no), 'credit_note', ?, id FROM credit_notes WHERE credit_no = ${number.sql}`
+        )
+        .bind(invoiceId, -refund.amount, refund.refundedAt || now, refund.method, refund.ref || null, now, ...number.args)
+    );
+  }
+  const [, inserted] = await numberedBatch(env, "credit_note", statements);
+  const creditNo = inserted.results[0].credit_no;
+
+  const creditNote = (await loadCreditNotes(env, invoiceId)).find((cn) => cn.credit_no === creditNo);
+  const summary = await syncInvoicePayments(env, invoiceId);
+  return { creditNote, summary };
+}
+
+// Send a credit note to the customer; stamped once delivered.
+async function emailCreditNote(env, invoiceId, creditNoteId) {
+  return sendCreditNoteEmail({ env, invoiceId, creditNoteId });
+}
+
+// --- Invoice lifecycle
+// Each invoice stores where it has got to: draft → sent → viewed → part-paid
+// → paid, or void. "credited" sits beside paid for an invoice settled by
+// credit notes rather than money. The state follows from what has happened
+// (sent_at, customer_viewed_at, the ledger, voided_at) and is written back by
+// syncInvoicePayments whenever one of those changes; nothing sets it directly.
+// Settled and void invoices are locked: saves and restores that would change
+// them are refused unless the request gives an unlock_reason, which is kept on
+// the revision the change creates.
+const INVOICE_STATES = ["draft", "sent", "viewed", "part-paid", "paid", "credited", "void"];
+const LOCKED_STATES = new Set(["paid", "credited", "void"]);
+
+function invoiceState(row, summary) {
+  if (row.voided_at) return "void";
+  if (summary.payment_status === "credited") return "credited";
+  if (summary.amount_paid > 0) return summary.balance > 0 ? "part-paid" : "paid";
+  if (row.customer_viewed_at) return "viewed";
+  if (row.sent_at) return "sent";
+  return "draft";
+}
+
+// Fields a save would change on a locked invoice, comparing its snapshot with
+// the figures and items about to be written (customer details aren't locked,
+// only which customer the invoice is for).
+function lockedChanges(before, fields, customerId) {
+  const after = { ...before, ...fields, customer: { ...before.customer, id: customerId ?? before.customer.id } };
+  return diffSnapshots(before, after)
+    .map((c) => c.field)
+    .filter((f) => !f.startsWith("customer.") || f === "customer.id");
+}
+
+function lockedError(state, extra = {}) {
+  return bad(409, `Invoice is ${state}, so it's locked; give an unlock_reason to change it`, { state, locked: true, ...extra });
+}
+
+// Sent by email, or handed over some other way (emailed = false).
+async function markInvoiceSent(env, invoiceId, { emailed = false, at = nowIso() } = {}) {
+  await env.emm_invoices
+    .prepare(
+      `UPDATE invoices SET sent_at = COALESCE(sent_at, ?)${emailed ? ", emailed_invoice_at = ?" : ""} WHERE id = ?`
+    )
+    .bind(...(emailed ? [at, at, invoiceId] : [at, invoiceId]))
+    .run();
+  await syncInvoicePayments(env, invoiceId);
+  return at;
+}
+
+// --- Invoice revisions
+// Every save that changes an invoice keeps a full snapshot of its editable
+// fields, items and customer as revision 1, 2, 3... Saves that change nothing
+// (most autosaves) don't add one. Invoices from before history was kept get
+// their old state recorded as a "baseline" revision the first time they're
+// saved. Diffs are worked out from the snapshots when asked for.
+const REVISION_SOURCES = new Set(["save", "autosave"]);
+const REVISION_FIELDS = [
+  "invoice_no", "programme", "due_date", "notes", "subtotal", "travel_fee", "total", "deposit_amount", "profile_id",
+];
+const REVISION_CUSTOMER_FIELDS = ["id", "name", "email", "address", "phone"];
+
+// Who made a change, as far as sign-in can tell: the browser session or which API token.
+function authActor(auth) {
+  if (!auth) return null;
+  return auth.via === "token" ? `token ${auth.token}` : auth.via;
+}
+
+async function loadInvoiceSnapshot(env, invoiceId) {
+  const row = await env.emm_invoices
+    .prepare(
+      `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address, c.phone as customer_phone
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE i.id = ?`
+    )
+    .bind(invoiceId)
+    .first();
+  return row ? invoiceSnapshot(row) : null;
+}
+
+// Snapshot of an invoice row joined with its customer's details (customer_name etc.)
+function invoiceSnapshot(row) {
+  let items = [];
+  try { items = JSON.parse(row.items_json || "[]"); } catch {}
+
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) snapshot[field] = row[field] ?? null;
+  for (const field of ["subtotal", "travel_fee", "total", "deposit_amount"]) snapshot[field] = round2(row[field] || 0);
+  snapshot.customer = {
+    id: row.customer_id ?? null,
+    name: row.customer_name ?? null,
+    email: row.customer_email ?? null,
+    address: row.customer_address ?? null,
+    phone: row.customer_phone ?? null,
+  };
+  snapshot.items = items;
+  return snapshot;
+}
+
+async function loadRevisions(env, invoiceId) {
+  const rows = await env.emm_invoices
+    .prepare("SELECT * FROM invoice_revisions WHERE invoice_id = ? ORDER BY rev")
+    .bind(invoiceId)
+    .all();
+  return (rows.results || []).map(({ snapshot_json, ...r }) => {
+    let snapshot = null;
+    try { snapshot = JSON.parse(snapshot_json); } catch {}
+    return { ...r, snapshot };
+  });
+}
+
+// [{ field, before, after }] for everything that differs between two snapshots.
+// Items are compared line by line: "items[2]" with before or after null when a
+// line was added or removed.
+function diffSnapshots(before, after) {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const changes = [];
+
+  for (const field of REVISION_FIELDS) {
+    if (!same(before?.[field], after?.[field])) changes.push({ field, before: before?.[field] ?? null, after: after?.[field] ?? null });
+  }
+  for (const field of REVISION_CUSTOMER_FIELDS) {
+    const a = before?.customer?.[field];
+    const b = after?.customer?.[field];
+    if (!same(a, b)) changes.push({ field: `customer.${field}`, before: a ?? null, after: b ?? null });
+  }
+
+  const beforeItems = before?.items || [];
+  const afterItems = after?.items || [];
+  for (let i = 0; i < Math.max(beforeItems.length, afterItems.length); i++) {
+    if (!same(beforeItems[i], afterItems[i])) {
+      changes.push({ field: `items[${i}]`, before: beforeItems[i] ?? null, after: afterItems[i] ?? null });
+    }
+  }
+  return changes;
+}
+
+// Records the invoice as it now stands, unless the latest revision already
+// matches it. Returns the revision number that describes the invoice.
+async function recordInvoiceRevision(env, invoiceId, { source, actor = null, restoredFrom = null, unlockReason = null }) {
+  const snapshot = await loadInvoiceSnapshot(env, invoiceId);
+  if (!snapshot) return null;
+
+  const latest = await env.emm_invoices
+    .prepare("SELECT rev, snapshot_json FROM invoice_revisions WHERE invoice_id = ? ORDER BY rev DESC LIMIT 1")
+    .bind(invoiceId)
+    .first();
+  let latestSnapshot = null;
+  try { latestSnapshot = latest && JSON.parse(latest.snapshot_json); } catch {}
+  // Unlocks are kept even when the invoice's fields didn't change (a deleted payment)
+  if (latestSnapshot && !diffSnapshots(latestSnapshot, snapshot).length && !restoredFrom && !unlockReason) return latest.rev;
+
+  const row = await revisionStatement(env.emm_invoices, invoiceId, snapshot, { source, actor, restoredFrom, unlockReason }).first();
+  return row.rev;
+}
+
+// The rev is worked out inside the insert, so two saves landing together
+// get consecutive revs rather than both trying to write the same one
+function revisionStatement(db, invoiceId, snapshot, { source, actor = null, restoredFrom = null, unlockReason = null }) {
+  return db
+    .prepare(
+      `INSERT INTO invoice_revisions (invoice_id, rev, source, actor, restored_from, unlock_reason, snapshot_json, created_at)
+       SELECT ?, COALESCE(MAX(rev), 0) + 1, ?, ?, ?, ?, ?, ? FROM invoice_revisions WHERE invoice_id = ?
+       RETURNING rev`
+    )
+    .bind(invoiceId, source, actor, restoredFrom, unlockReason, JSON.stringify(snapshot), nowIso(), invoiceId);
+}
+
+// { rev, base_rev, changes } when revisions newer than baseRev changed the
+// invoice, else null.
+async function revisionConflict(env, invoiceId, baseRev) {
+  const revisions = await loadRevisions(env, invoiceId);
+  const latest = revisions[revisions.length - 1];
+  if (!latest || latest.rev <= baseRev) return null;
+
+  const base = revisions.find((r) => r.rev === baseRev);
+  const changes = diffSnapshots(base?.snapshot ?? null, latest.snapshot);
+  return changes.length ? { rev: latest.rev, base_rev: baseRev, changes } : null;
+}
+
+// Keeps the pre-history state of an invoice before its first tracked save overwrites it.
+async function ensureBaselineRevision(env, invoiceId) {
+  const any = await env.emm_invoices
+    .prepare("SELECT 1 as x FROM invoice_revisions WHERE invoice_id = ? LIMIT 1")
+    .bind(invoiceId)
+    .first();
+  if (!any) await recordInvoiceRevision(env, invoiceId, { source: "baseline" });
+}
+
+// Puts an invoice back to a revision's fields and items (its number stays).
+// Customer details aren't rewritten, as they're shared with other invoices;
+// the invoice is just pointed back at that customer if they still exist.
+async function restoreInvoiceRevision(env, invoiceId, revision, { actor, unlockReason = null }) {
+  const snap = revision.snapshot;
+  const computed = computeInvoiceTotals({
+    items: snap.items,
+    travel_fee: snap.travel_fee,
+    deposit_amount: snap.deposit_amount,
+    programme: snap.programme,
+  });
+  if (computed.errors.length) return { status: 422, error: "Revision's figures are no longer valid", errors: computed.errors };
+
+  const current = await env.emm_invoices
+    .prepare(`SELECT i.id, i.customer_id, i.profile_id, i.state, ${CREDITED_SQL} as credited FROM invoices i WHERE i.id = ?`)
+    .bind(invoiceId)
+    .first();
+  if (LOCKED_STATES.has(current.state) && !unlockReason) return { locked: current.state };
+  const { subtotal, travel_fee: travelFee, total, deposit_amount: depositAmount } = computed.totals;
+  if (round2(current.credited) > total) {
+    return { status: 409, error: `Invoice has ${gbp(current.credited)} of credit notes against it, more than that revision's total` };
+  }
+  const depositChange = await issuedDepositChange(env, invoiceId, depositAmount);
+  if (depositChange) return depositChange;
+
+  const warnings = [];
+  let customerId = current.customer_id;
+  if (snap.customer?.id && snap.customer.id !== current.customer_id) {
+    if (await loadCustomer(env, snap.customer.id)) customerId = snap.customer.id;
+    else warnings.push(`Customer ${snap.customer.name || snap.customer.id} no longer exists, so the current customer was kept`);
+  }
+  let profileId = current.profile_id;
+  if (snap.profile_id && snap.profile_id !== current.profile_id) {
+    if (await env.emm_invoices.prepare("SELECT id FROM business_profiles WHERE id = ?").bind(snap.profile_id).first()) {
+      profileId = snap.profile_id;
+    } else {
+      warnings.push(`Business profile ${snap.profile_id} no longer exists, so the current one was kept`);
+    }
+  }
+
+  await ensureBaselineRevision(env, invoiceId);
+  await env.emm_invoices
+    .prepare(
+      `UPDATE invoices SET customer_id = ?, profile_id = ?, programme = ?, subtotal = ?, travel_fee = ?, total = ?,
+         deposit_amount = ?, items_json = ?, notes = ?, due_date = ?
+       WHERE id = ?`
+    )
+    .bind(customerId, profileId, snap.programme || "lessons", subtotal, travelFee, total, depositAmount, JSON.stringify(computed.items), snap.notes ?? null, snap.due_date ?? null, invoiceId)
+    .run();
+  await syncFormDeposit(env, invoiceId, depositAmount);
+
+  const rev = await recordInvoiceRevision(env, invoiceId, { source: "restore", actor, restoredFrom: revision.rev, unlockReason });
+  return { rev, warnings };
+}
+
+// --- Payment reminders
+// REMINDER_SCHEDULE lists days relative to the due date (negative = before).
+// Each run sends at most one reminder per invoice: the latest stage that has
+// come round and hasn't been sent. reminder_log stops any stage going out twice.
+// Invoices that were never sent (drafts) get no reminders.
+const DEFAULT_REMINDER_SCHEDULE = [-3, 0, 7, 14];
+
+function reminderSchedule(env) {
+  const raw = safeStr(env.REMINDER_SCHEDULE);
+  if (!raw) return DEFAULT_REMINDER_SCHEDULE;
+  const days = raw
+    .split(",")
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d));
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromYmd, toYmd) {
+  return Math.round((Date.parse(`${toYmd}T00:00:00Z`) - Date.parse(`${fromYmd}T00:00:00Z`)) / 86400000);
+}
+
+function reminderStageLabel(offset) {
+  if (offset < 0) return `due in ${-offset} day${offset === -1 ? "" : "s"}`;
+  if (offset === 0) return "due today";
+  return `${offset} day${offset === 1 ? "" : "s"} overdue`;
+}
+
+async function runReminders(env, { dryRun = true, today = nowIso().slice(0, 10) } = {}) {
+  const schedule = reminderSchedule(env);
+  if (!schedule.length) return { today, schedule, reminders: [] };
+
+  // Anything sent whose earliest stage has come round
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT i.id, i.invoice_no, i.total, i.due_date,
+              c.name as customer_name, c.email as customer_email,
+              (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = i.id) as amount_paid,
+              ${CREDITED_SQL} as credited
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE i.due_date IS NOT NULL AND i.due_date != '' AND i.due_date <= ? AND i.voided_at IS NULL
+         AND i.sent_at IS NOT NULL
+       ORDER BY i.due_date, i.id`
+    )
+    .bind(addDays(today, -schedule[0]))
+    .all();
+
+  const reminders = [];
+
+  for (const row of rows.results || []) {
+    const balance = round2(amountOwed(row.total, { credited: row.credited }) - Number(row.amount_paid || 0));
+    if (balance <= 0) continue;
+
+    const dueDate = String(row.due_date).slice(0, 10);
+    const daysFromDue = daysBetween(dueDate, today);
+    const stage = schedule.filter((d) => d <= daysFromDue).pop();
+    if (stage === undefined) continue;
+
+    const already = await env.emm_invoices
+      .prepare("SELECT sent_at FROM reminder_log WHERE invoice_id = ? AND offset_days = ?")
+      .bind(row.id, stage)
+      .first();
+    if (already) continue;
+
+    const entry = {
+      invoice_id: row.id,
+      invoice_no: row.invoice_no,
+      customer_name: row.customer_name,
+      customer_email: row.customer_email,
+      due_date: dueDate,
+      balance,
+      stage,
+      stage_label: reminderStageLabel(daysFromDue),
+    };
+
+    if (!row.customer_email) {
+      reminders.push({ ...entry, action: "skipped", error: "Customer email missing" });
+      continue;
+    }
+    if (dryRun) {
+      reminders.push({ ...entry, action: "would_send" });
+      continue;
+    }
+
+    try {
+      const result = await sendReminderEmail(env, row.id, { daysFromDue });
+      // One the outbox is retrying counts as sent, or tomorrow's run would queue it again
+      if (result.emailed || result.retrying) {
+        await env.emm_invoices
+          .prepare("INSERT OR IGNORE INTO reminder_log (invoice_id, offset_days, sent_at, sent_to) VALUES (?, ?, ?, ?)")
+          .bind(row.id, stage, nowIso(), row.customer_email)
+          .run();
+        reminders.push(result.emailed ? { ...entry, action: "sent" } : { ...entry, action: "retrying", error: result.error, retry_at: result.retryAt });
+      } else {
+        reminders.push({ ...entry, action: "failed", error: result.error });
+      }
+    } catch (e) {
+      reminders.push({ ...entry, action: "failed", error: String(e?.message || e) });
+    }
+  }
+
+  return { today, schedule, reminders };
+}
+
+async function sendReminderEmail(env, invoiceId, { daysFromDue }) {
+  const { row, data, error } = await loadInvoiceData(env, invoiceId);
+  if (error) return { emailed: false, error };
+  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+
+  const { subject, html, text } = await composeEmail(env, "reminder", { ...data, daysFromDue });
+  return sendEmail(
+    env,
+    { to: row.customer_email, replyTo: data.business.email, subject, html, text },
+    { kind: "reminder", invoiceId, customerId: row.customer_id }
+  );
+}
+
+// --- Recurring schedules
+// A schedule is a customer's weekly lesson slot billed in blocks. Block dates
+// follow generateBlock() in the browser (the first lesson, then every 7 days)
+// except that skip dates (holidays) are passed over and made up at the end,
+// so every block has block_weeks lessons. lead_days before a block's first
+// lesson the cron job creates its invoice, due on that first lesson, and
+// emails it when auto_send is on. schedule_blocks records each block once.
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DEFAULT_SCHEDULE_LEAD_DAYS = 14;
+
+function weekdayOf(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+// First date on or after ymd that falls on weekday
+function alignToWeekday(ymd, weekday) {
+  return addDays(ymd, (weekday - weekdayOf(ymd) + 7) % 7);
+}
+
+function blockLessonDates(start, weeks, skipDates = []) {
+  const skip = new Set(skipDates);
+  const dates = [];
+  for (let d = start; dates.length < weeks; d = addDays(d, 7)) {
+    if (!skip.has(d)) dates.push(d);
+  }
+  return dates;
+}
+
+function parseSkipDates(value) {
+  if (Array.isArray(value)) return value.map(safeStr);
+  if (typeof value === "string" && value.trim().startsWith("[")) {
+    try { return JSON.parse(value).map(safeStr); } catch {}
+  }
+  return String(value ?? "").split(/[\s,]+/).filter(Boolean);
+}
+
+// Fields missing from the body keep their current value
+function readScheduleBody(body, current = {}) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : current[k]);
+
+  const rawWeekday = pick("weekday");
+  const weekday =
+    rawWeekday === undefined || rawWeekday === null || rawWeekday === ""
+      ? null
+      : WEEKDAYS.includes(String(rawWeekday).toLowerCase())
+        ? WEEKDAYS.indexOf(String(rawWeekday).toLowerCase())
+        : Number(rawWeekday);
+
+  const schedule = {
+    customer_id: Number(pick("customer_id") || 0) || null,
+    catalog_item_id: Number(pick("catalog_item_id") || 0) || null,
+    profile_id: Number(pick("profile_id") || 0) || null,
+    weekday,
+    time: safeStr(pick("time")) || null,
+    block_weeks: Number(pick("block_weeks") ?? 6),
+    starts_on: ymdOrNull(pick("starts_on")),
+    ends_on: ymdOrNull(pick("ends_on")),
+    skip_dates: [...new Set(parseSkipDates(pick("skip_dates")))].sort(),
+    auto_send: pick("auto_send") ? 1 : 0,
+    lead_days: Number(pick("lead_days") ?? DEFAULT_SCHEDULE_LEAD_DAYS),
+    active: pick("active") === undefined ? 1 : pick("active") ? 1 : 0,
+  };
+
+  const errors = [];
+  if (!schedule.customer_id) errors.push({ field: "customer_id", error: "is required" });
+  if (!schedule.catalog_item_id && !safeStr(body.lesson_type)) {
+    errors.push({ field: "catalog_item_id", error: "is required (or give lesson_type)" });
+  }
+  if (!schedule.starts_on) errors.push({ field: "starts_on", error: "must be YYYY-MM-DD" });
+  if (schedule.weekday === null && schedule.starts_on) schedule.weekday = weekdayOf(schedule.starts_on);
+  if (!Number.isInteger(schedule.weekday) || schedule.weekday < 0 || schedule.weekday > 6) {
+    errors.push({ field: "weekday", error: "must be 0 (Sunday) to 6 (Saturday) or a day name" });
+  }
+  if (schedule.time && !/^\d{2}:\d{2}$/.test(schedule.time)) errors.push({ field: "time", error: "must be HH:MM" });
+  if (!Number.isInteger(schedule.block_weeks) || schedule.block_weeks < 1 || schedule.block_weeks > 52) {
+    errors.push({ field: "block_weeks", error: "must be a whole number from 1 to 52" });
+  }
+  if (pick("ends_on") && !schedule.ends_on) errors.push({ field: "ends_on", error: "must be YYYY-MM-DD" });
+  if (schedule.skip_dates.some((d) => !ymdOrNull(d))) errors.push({ field: "skip_dates", error: "must all be YYYY-MM-DD" });
+  if (!Number.isInteger(schedule.lead_days) || schedule.lead_days < 0 || schedule.lead_days > 90) {
+    errors.push({ field: "lead_days", error: "must be a whole number from 0 to 90" });
+  }
+  return { schedule, errors };
+}
+
+// Resolves lesson_type (a catalogue name) to its id and checks both references
+async function resolveScheduleRefs(env, schedule, body) {
+  const errors = [];
+  if (safeStr(body.lesson_type) && body.catalog_item_id === undefined) {
+    const item = await env.emm_invoices
+      .prepare("SELECT id FROM catalog_items WHERE name = ? ORDER BY active DESC, id LIMIT 1")
+      .bind(safeStr(body.lesson_type))
+      .first();
+    if (!item) errors.push({ field: "lesson_type", error: "isn't in the catalogue" });
+    schedule.catalog_item_id = item?.id ?? null;
+  }
+  if (schedule.catalog_item_id && !body.lesson_type) {
+    const item = await env.emm_invoices.prepare("SELECT id FROM catalog_items WHERE id = ?").bind(schedule.catalog_item_id).first();
+    if (!item) errors.push({ field: "catalog_item_id", error: "no such catalogue item" });
+  }
+  if (schedule.customer_id && !(await loadCustomer(env, schedule.customer_id))) {
+    errors.push({ field: "customer_id", error: "no such customer" });
+  }
+  if (schedule.profile_id) {
+    const profile = await env.emm_invoices.prepare("SELECT id FROM business_profiles WHERE id = ?").bind(schedule.profile_id).first();
+    if (!profile) errors.push({ field: "profile_id", error: "no such business profile" });
+  }
+  return errors;
+}
+
+// The block the schedule will bill next, and the day its invoice is due to be made
+function nextScheduleBlock(schedule) {
+  if (!schedule.next_start) return null;
+  if (schedule.ends_on && schedule.next_start > schedule.ends_on) return null;
+  const skip = parseSkipDates(schedule.skip_dates);
+  const dates = blockLessonDates(schedule.next_start, schedule.block_weeks, skip).filter(
+    (d) => !schedule.ends_on || d <= schedule.ends_on
+  );
+  if (!dates.length) return null;
+  return {
+    start: dates[0],
+    end: dates[dates.length - 1],
+    dates,
+    creates_on: addDays(dates[0], -schedule.lead_days),
+  };
+}
+
+async function loadSchedules(env, { id = null, customerId = null } = {}) {
+  const where = [];
+  const binds = [];
+  if (id) { where.push("s.id = ?"); binds.push(id); }
+  if (customerId) { where.push("s.customer_id = ?"); binds.push(customerId); }
+
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT s.*, c.name as customer_name, c.email as customer_email, ci.name as lesson_type
+       FROM schedules s
+       LEFT JOIN customers c ON c.id = s.customer_id
+       LEFT JOIN catalog_items ci ON ci.id = s.catalog_item_id
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY s.id`
+    )
+    .bind(...binds)
+    .all();
+
+  return (rows.results || []).map((s) => ({
+    ...s,
+    skip_dates: parseSkipDates(s.skip_dates),
+    auto_send: !!s.auto_send,
+    active: !!s.active,
+    next_block: nextScheduleBlock(s),
+  }));
+}
+
+// Writes the block's invoice: one line per lesson, priced from the catalogue
+// version in effect on the first lesson. The block's claim is pointed at the
+// invoice in the same batch, so an invoice never exists without it.
+async function createBlockInvoice(env, schedule, block) {
+  const catalog = await listCatalog(env, { date: block.start, includeInactive: true });
+  const item = catalog.find((it) => it.id === schedule.catalog_item_id);
+  if (!item) throw new Error(`Catalogue item ${schedule.catalog_item_id} not found`);
+
+  const programme = item.programme || "lessons";
+  const { items, totals } = computeInvoiceTotals({
+    items: block.dates.map((date) => ({
+      desc: item.name,
+      date,
+      time: schedule.time || "",
+      qty: 1,
+      unit: item.unit_price,
+      catalog_id: item.id,
+      catalog_version: item.version,
+    })),
+    travel_fee: 0,
+    deposit_amount: 0,
+    programme,
+  });
+
+  const weekday = WEEKDAYS[schedule.weekday];
+  const notes = `${block.dates.length} weekly lessons on ${weekday[0].toUpperCase()}${weekday.slice(1)}s${
+    schedule.time ? ` at ${schedule.time}` : ""
+  }, ${fmtDate(block.start)} to ${fmtDate(block.end)}.`;
+
+  const profile = await loadBusinessProfile(env, schedule.profile_id);
+  const number = await nextNumberStatements(env, "invoice");
+  const [, ins] = await numberedBatch(env, "invoice", [
+    number.bump,
+    env.emm_invoices
+      .prepare(
+        `INSERT INTO invoices (invoice_no, customer_id, profile_id, programme, subtotal, travel_fee, total, deposit_amount, items_json, notes, due_date)
+         VALUES (${number.sql}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         RETURNING id, invoice_no`
+      )
+      .bind(...number.args, schedule.customer_id, profile?.id ?? null, programme, totals.subtotal, totals.travel_fee, totals.total, totals.deposit_amount, JSON.stringify(items), notes, block.start),
+    env.emm_invoices
+      .prepare(
+        `UPDATE schedule_blocks SET invoice_id = (SELECT id FROM invoices WHERE invoice_no = ${number.sql})
+         WHERE schedule_id = ? AND block_start = ?`
+      )
+      .bind(...number.args, schedule.id, block.start),
+  ]);
+  const { id, invoice_no: invoiceNo } = ins.results[0];
+  await recordInvoiceRevision(env, id, { source: "schedule" });
+
+  return { id, invoiceNo, total: totals.total };
+}
+
+// Creates (and with auto_send, emails) the invoice for every active schedule
+// whose next block is within its lead time. One block per schedule per run.
+async function runSchedules(env, { dryRun = true, today = nowIso().slice(0, 10) } = {}) {
+  const schedules = (await loadSchedules(env)).filter((s) => s.active);
+  const blocks = [];
+
+  for (const s of schedules) {
+    const block = s.next_block;
+    if (!block || block.creates_on > today) continue;
+
+    const entry = {
+      schedule_id: s.id,
+      customer_id: s.customer_id,
+      customer_name: s.customer_name,
+      lesson_type: s.lesson_type,
+      block_start: block.start,
+      block_end: block.end,
+      dates: block.dates,
+      auto_send: s.auto_send,
+    };
+    if (dryRun) {
+      blocks.push({ ...entry, action: "would_create" });
+      continue;
+    }
+
+    // Claim the block first so an overlapping run can't bill it twice
+    const claim = await env.emm_invoices
+      .prepare("INSERT OR IGNORE INTO schedule_blocks (schedule_id, block_start, created_at) VALUES (?, ?, ?)")
+      .bind(s.id, block.start, nowIso())
+      .run();
+    if (!claim.meta?.changes) {
+      // Already claimed: if it was billed (say the run died before moving the
+      // schedule on), move the schedule past it; otherwise another run has it
+      const billed = await env.emm_invoices
+        .prepare("SELECT invoice_id FROM schedule_blocks WHERE schedule_id = ? AND block_start = ?")
+        .bind(s.id, block.start)
+        .first();
+      if (billed?.invoice_id) {
+        await env.emm_invoices
+          .prepare("UPDATE schedules SET next_start = ?, last_invoice_id = ?, updated_at = ? WHERE id = ? AND next_start = ?")
+          .bind(addDays(block.end, 7), billed.invoice_id, nowIso(), s.id, s.next_start)
+          .run();
+        blocks.push({ ...entry, invoice_id: billed.invoice_id, action: "already_billed" });
+      }
+      continue;
+    }
+
+    try {
+      const invoice = await createBlockInvoice(env, s, block);
+      await env.emm_invoices
+        .prepare("UPDATE schedules SET next_start = ?, last_invoice_id = ?, updated_at = ? WHERE id = ?")
+        .bind(addDays(block.end, 7), invoice.id, nowIso(), s.id)
+        .run();
+
+      const created = { ...entry, invoice_id: invoice.id, invoice_no: invoice.invoiceNo, total: invoice.total };
+      if (!s.auto_send) {
+        blocks.push({ ...created, action: "created" });
+        continue;
+      }
+
+      const sent = await sendInvoiceEmail({ env, invoiceId: invoice.id });
+      if (sent.emailed) {
+        blocks.push({ ...created, action: "sent" });
+      } else if (sent.retrying) {
+        blocks.push({ ...created, action: "retrying", error: sent.error, retry_at: sent.retryAt });
+      } else {
+        blocks.push({ ...created, action: "created", error: sent.error });
+      }
+    } catch (e) {
+      // Released for the next run only if no invoice was written; one that was
+      // keeps the claim, and the next run moves the schedule past it
+      const claimed = await env.emm_invoices
+        .prepare("SELECT invoice_id FROM schedule_blocks WHERE schedule_id = ? AND block_start = ?")
+        .bind(s.id, block.start)
+        .first();
+      if (!claimed?.invoice_id) {
+        await env.emm_invoices
+          .prepare("DELETE FROM schedule_blocks WHERE schedule_id = ? AND block_start = ? AND invoice_id IS NULL")
+          .bind(s.id, block.start)
+          .run();
+      }
+      blocks.push({ ...entry, action: "failed", invoice_id: claimed?.invoice_id ?? null, error: String(e?.message || e) });
+    }
+  }
+
+  return { today, blocks };
+}
+
+// --- Share links
+// Customers get a read-only page at /i/:token for one invoice and its latest
+// receipt. Tokens are "<invoice id>.<link id>.<expiry>.<HMAC-SHA256>" signed
+// with SHARE_LINK_SECRET, so forged or edited tokens fail before any lookup;
+// the share_links row is what lets a link be revoked and its views recorded.
+const DEFAULT_SHARE_LINK_DAYS = 30;
+
+function base64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function hmacSha256(secret, payload) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(payload)));
+}
+
+async function shareSignature(env, payload) {
+  return base64Url(await hmacSha256(env.SHARE_LINK_SECRET, payload));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Tokens aren't stored; they can always be rebuilt from the link row.
+async function shareToken(env, link) {
+  const exp = Math.floor(new Date(link.expires_at).getTime() / 1000);
+  const payload = `${link.invoice_id}.${link.id}.${exp}`;
+  return `${payload}.${await shareSignature(env, payload)}`;
+}
+
+async function createShareLink(env, invoiceId, days) {
+  const link = {
+    id: base64Url(crypto.getRandomValues(new Uint8Array(12))),
+    invoice_id: invoiceId,
+    expires_at: new Date(Math.floor(Date.now() / 1000 + days * 86400) * 1000).toISOString(),
+    created_at: nowIso(),
+  };
+
+  await env.emm_invoices
+    .prepare("INSERT INTO share_links (id, invoice_id, expires_at, created_at) VALUES (?, ?, ?, ?)")
+    .bind(link.id, link.invoice_id, link.expires_at, link.created_at)
+    .run();
+
+  return { ...link, token: await shareToken(env, link) };
+}
+
+async function listShareLinks(env, invoiceId, origin) {
+  const rows = await env.emm_invoices
+    .prepare("SELECT * FROM share_links WHERE invoice_id = ? ORDER BY created_at DESC")
+    .bind(invoiceId)
+    .all();
+
+  const now = Date.now();
+  return Promise.all(
+    (rows.results || []).map(async (link) => ({
+      ...link,
+      active: !link.revoked_at && new Date(link.expires_at).getTime() > now,
+      url: `${origin}/i/${await shareToken(env, link)}`,
+    }))
+  );
+}
+
+// The live share_links row for a token, or null if it's forged, expired or revoked.
+async function verifyShareToken(env, token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4) return null;
+
+  const [invoiceRaw, linkId, expRaw, sig] = parts;
+  const invoiceId = Number(invoiceRaw);
+  const exp = Number(expRaw);
+  if (!Number.isInteger(invoiceId) || !Number.isInteger(exp)) return null;
+
+  const expected = await shareSignature(env, `${invoiceId}.${linkId}.${exp}`);
+  if (!timingSafeEqual(sig, expected)) return null;
+  if (exp * 1000 <= Date.now()) return null;
+
+  const link = await env.emm_invoices
+    .prepare("SELECT * FROM share_links WHERE id = ? AND invoice_id = ?")
+    .bind(linkId, invoiceId)
+    .first();
+
+  if (!link || link.revoked_at) return null;
+  if (new Date(link.expires_at).getTime() !== exp * 1000) return null;
+  return link;
+}
+
+async function recordShareView(env, link) {
+  const at = nowIso();
+  await env.emm_invoices.batch([
+    env.emm_invoices
+      .prepare(
+        `UPDATE share_links
+         SET first_viewed_at = COALESCE(first_viewed_at, ?), last_viewed_at = ?, view_count = view_count + 1
+         WHERE id = ?`
+      )
+      .bind(at, at, link.id),
+    env.emm_invoices
+      .prepare("UPDATE invoices SET customer_viewed_at = COALESCE(customer_viewed_at, ?) WHERE id = ?")
+      .bind(at, link.invoice_id),
+  ]);
+  await syncInvoicePayments(env, link.invoice_id);
+}
+
+// --- Stripe webhook
+// Stripe posts checkout/payment events to /api/webhooks/stripe. The
+// Stripe-Signature header is an HMAC of "<timestamp>.<raw body>" using
+// STRIPE_WEBHOOK_SECRET. Every event id is logged in stripe_events, so a
+// redelivered event is acknowledged without recording the payment twice.
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function hex(bytes) {
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// True if any v1 signature in the header matches and the timestamp is recent.
+async function verifyStripeSignature(secret, header, payload, now = Date.now()) {
+  const parts = String(header || "")
+    .split(",")
+    .map((p) => p.trim().split("="));
+  const timestamp = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v || "");
+
+  if (!Number.isInteger(timestamp) || !signatures.length) return false;
+  if (Math.abs(now / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = hex(await hmacSha256(secret, `${timestamp}.${payload}`));
+  return signatures.some((sig) => timingSafeEqual(sig, expected));
+}
+
+// Pull what we need out of the event types we act on; null for anything else.
+function stripePaymentFromEvent(event) {
+  const obj = event?.data?.object || {};
+
+  if (
+    event.type === "checkout.session.completed" ||
+    event.type === "checkout.session.async_payment_succeeded"
+  ) {
+    if (obj.payment_status !== "paid") return null;
+    return {
+      ref: typeof obj.payment_intent === "string" ? obj.payment_intent : obj.payment_intent?.id || obj.id,
+      amountMinor: obj.amount_total,
+      currency: obj.currency,
+      created: obj.created,
+      metadata: obj.metadata || {},
+      references: [obj.client_reference_id],
+    };
+  }
+
+  if (event.type === "payment_intent.succeeded") {
+    return {
+      ref: obj.id,
+      amountMinor: obj.amount_received ?? obj.amount,
+      currency: obj.currency,
+      created: obj.created,
+      metadata: obj.metadata || {},
+      references: [obj.description],
+    };
+  }
+
+  return null;
+}
+
+// Invoice id from metadata.invoice_id, else an exact invoice number in
+// metadata.invoice_no, client_reference_id or the description.
+async function matchStripeInvoice(env, { metadata, references }) {
+  const id = Number(metadata.invoice_id);
+  if (Number.isInteger(id) && id > 0) {
+    const row = await env.emm_invoices.prepare("SELECT id FROM invoices WHERE id = ?").bind(id).first();
+    if (row) return row.id;
+  }
+
+  const candidates = [metadata.invoice_no, metadata.invoice_number, ...references]
+    .flatMap((v) => safeStr(v).split(/[\s,;:()#]+/))
+    .filter(Boolean);
+
+  for (const invoiceNo of new Set(candidates)) {
+    const row = await env.emm_invoices.prepare("SELECT id FROM invoices WHERE invoice_no = ?").bind(invoiceNo).first();
+    if (row) return row.id;
+  }
+  return null;
+}
+
+// Records the payment for one event. Returns { status, invoiceId, paymentId, note }.
+async function applyStripeEvent(env, event) {
+  const info = stripePaymentFromEvent(event);
+  if (!info) return { status: "ignored", note: `Unhandled event type ${event.type}` };
+
+  if (safeStr(info.currency).toLowerCase() !== "gbp") {
+    return { status: "ignored", note: `Unsupported currency ${info.currency}` };
+  }
+  const amount = round2(Number(info.amountMinor || 0) / 100);
+  if (!(amount > 0)) return { status: "ignored", note: "No amount" };
+
+  const invoiceId = await matchStripeInvoice(env, info);
+  if (!invoiceId) return { status: "unmatched", note: "No invoice found in metadata or reference" };
+
+  // checkout.session.completed and payment_intent.succeeded describe the same charge
+  const existing = await env.emm_invoices
+    .prepare("SELECT id FROM payments WHERE source = 'stripe' AND ref = ?")
+    .bind(info.ref)
+    .first();
+  if (existing) return { status: "duplicate", invoiceId, paymentId: existing.id, note: `Already recorded ${info.ref}` };
+
+  const { payment } = await recordPayment(env, invoiceId, {
+    amount,
+    kind: info.metadata.kind === "deposit" ? "deposit" : "payment",
+    paidAt: info.created ? new Date(info.created * 1000).toISOString() : nowIso(),
+    method: "Stripe",
+    ref: info.ref,
+    source: "stripe",
+  });
+
+  // The real deposit replaces the placeholder from the form's "deposit paid" field
+  if (payment.kind === "deposit") await syncFormDeposit(env, invoiceId, 0);
+
+  return { status: "recorded", invoiceId, paymentId: payment.id };
+}
+
+// --- Schema migrations
+// The database schema is the ordered list below; schema_migrations records
+// which versions have been applied. Each migration runs in a single D1 batch
+// together with its schema_migrations row, so it lands completely or not at
+// all. Append new migrations at the end and never edit one that has shipped.
+//
+// A step is a SQL string, { sql, binds }, { addColumns: { table, columns } }
+// (only the columns the table lacks are added), or
+// { ifNewTable: "name", steps } for one-off backfills that should only run
+// when that table didn't exist before the migration. Early versions are
+// written so they also apply cleanly to databases that were set up before
+// migrations existed, when tables were created on first use.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "customers_and_invoices",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS customers (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         name TEXT NOT NULL,
+         email TEXT,
+         address TEXT,
+         phone TEXT,
+         created_at TEXT DEFAULT (datetime('now'))
+       )`,
+      `CREATE TABLE IF NOT EXISTS invoices (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         invoice_no TEXT NOT NULL UNIQUE,
+         customer_id INTEGER,
+         programme TEXT,
+         subtotal REAL,
+         travel_fee REAL,
+         total REAL,
+         deposit_amount REAL,
+         items_json TEXT,
+         notes TEXT,
+         issued_at TEXT DEFAULT (datetime('now')),
+         due_date TEXT,
+         paid_at TEXT,
+         paid_method TEXT,
+         paid_ref TEXT,
+         receipt_no TEXT,
+         emailed_receipt_at TEXT
+       )`,
+      // Columns the original hand-made tables may not have had
+      { addColumns: { table: "invoices", columns: { paid_ref: "TEXT", receipt_no: "TEXT", emailed_receipt_at: "TEXT" } } },
+      // Saving upserts on invoice_no, which needs it to be unique
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_invoice_no ON invoices(invoice_no)",
+      "CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id)",
+    ],
+  },
+  {
+    version: 2,
+    name: "number_sequences",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS number_sequences (
+         series TEXT NOT NULL,
+         period TEXT NOT NULL,
+         last_value INTEGER NOT NULL DEFAULT 0,
+         updated_at TEXT,
+         PRIMARY KEY (series, period)
+       )`,
+    ],
+  },
+  {
+    version: 3,
+    name: "catalog",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS catalog_items (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         name TEXT NOT NULL,
+         unit_price REAL NOT NULL DEFAULT 0,
+         programme TEXT,
+         kind TEXT NOT NULL DEFAULT 'item',
+         active INTEGER NOT NULL DEFAULT 1,
+         effective_from TEXT,
+         version INTEGER NOT NULL DEFAULT 1,
+         sort_order INTEGER NOT NULL DEFAULT 0,
+         created_at TEXT,
+         updated_at TEXT
+       )`,
+      `CREATE TABLE IF NOT EXISTS catalog_item_versions (
+         item_id INTEGER NOT NULL,
+         version INTEGER NOT NULL,
+         name TEXT NOT NULL,
+         unit_price REAL NOT NULL,
+         programme TEXT,
+         effective_from TEXT,
+         created_at TEXT,
+         PRIMARY KEY (item_id, version)
+       )`,
+      // Seed with the price list the app used to hard-code
+      {
+        ifNewTable: "catalog_items",
+        steps: [
+          ...DEFAULT_CATALOG.map((item, i) => ({
+            sql: `INSERT INTO catalog_items (name, unit_price, programme, kind, active, version, sort_order, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, 1, 1, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+            binds: [item.name, item.unit_price, item.programme, item.kind || "item", i],
+          })),
+          `INSERT INTO catalog_item_versions (item_id, version, name, unit_price, programme, effective_from, created_at)
+           SELECT id, 1, name, unit_price, programme, effective_from, created_at FROM catalog_items`,
+        ],
+      },
+    ],
+  },
+  {
+    version: 4,
+    name: "payments",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS payments (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         invoice_id INTEGER NOT NULL,
+         kind TEXT NOT NULL DEFAULT 'payment',
+         amount REAL NOT NULL,
+         paid_at TEXT NOT NULL,
+         method TEXT,
+         ref TEXT,
+         receipt_no TEXT UNIQUE,
+         source TEXT,
+         emailed_receipt_at TEXT,
+         created_at TEXT
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id)",
+      // Carry over what the single paid_at slot and deposit_amount used to record
+      {
+        ifNewTable: "payments",
+        steps: [
+          `INSERT INTO payments (invoice_id, kind, amount, paid_at, method, source, created_at)
+           SELECT i.id, 'deposit', i.deposit_amount,
+                  COALESCE(strftime('%Y-%m-%dT%H:%M:%fZ', i.issued_at), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+                  'Stripe', 'form', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+           FROM invoices i
+           WHERE i.programme = 'school_band' AND i.deposit_amount > 0`,
+          `INSERT INTO payments (invoice_id, kind, amount, paid_at, method, ref, receipt_no, source, emailed_receipt_at, created_at)
+           SELECT i.id, 'payment',
+                  MAX(0, i.total - CASE WHEN i.programme = 'school_band' THEN COALESCE(i.deposit_amount, 0) ELSE 0 END),
+                  i.paid_at, i.paid_method, i.paid_ref, i.receipt_no, 'legacy', i.emailed_receipt_at,
+                  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+           FROM invoices i
+           WHERE i.paid_at IS NOT NULL`,
+        ],
+      },
+    ],
+  },
+  {
+    version: 5,
+    name: "reminder_log",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS reminder_log (
+         invoice_id INTEGER NOT NULL,
+         offset_days INTEGER NOT NULL,
+         sent_at TEXT NOT NULL,
+         sent_to TEXT,
+         PRIMARY KEY (invoice_id, offset_days)
+       )`,
+    ],
+  },
+  {
+    version: 6,
+    name: "invoice_email_and_view_tracking",
+    steps: [{ addColumns: { table: "invoices", columns: { emailed_invoice_at: "TEXT", customer_viewed_at: "TEXT" } } }],
+  },
+  {
+    version: 7,
+    name: "share_links",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS share_links (
+         id TEXT PRIMARY KEY,
+         invoice_id INTEGER NOT NULL,
+         expires_at TEXT NOT NULL,
+         created_at TEXT NOT NULL,
+         revoked_at TEXT,
+         first_viewed_at TEXT,
+         last_viewed_at TEXT,
+         view_count INTEGER NOT NULL DEFAULT 0
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_share_links_invoice ON share_links(invoice_id)",
+    ],
+  },
+  {
+    version: 8,
+    name: "stripe_events",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS stripe_events (
+         id TEXT PRIMARY KEY,
+         type TEXT NOT NULL,
+         received_at TEXT NOT NULL,
+         status TEXT NOT NULL DEFAULT 'processing',
+         invoice_id INTEGER,
+         payment_id INTEGER,
+         note TEXT
+       )`,
+    ],
+  },
+  {
+    version: 9,
+    name: "schedules",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS schedules (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         customer_id INTEGER NOT NULL,
+         catalog_item_id INTEGER NOT NULL,
+         weekday INTEGER NOT NULL,
+         time TEXT,
+         block_weeks INTEGER NOT NULL,
+         starts_on TEXT NOT NULL,
+         ends_on TEXT,
+         skip_dates TEXT,
+         auto_send INTEGER NOT NULL DEFAULT 0,
+         lead_days INTEGER NOT NULL DEFAULT 14,
+         active INTEGER NOT NULL DEFAULT 1,
+         next_start TEXT,
+         last_invoice_id INTEGER,
+         created_at TEXT,
+         updated_at TEXT
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_schedules_customer ON schedules(customer_id)",
+      `CREATE TABLE IF NOT EXISTS schedule_blocks (
+         schedule_id INTEGER NOT NULL,
+         block_start TEXT NOT NULL,
+         invoice_id INTEGER,
+         created_at TEXT NOT NULL,
+         PRIMARY KEY (schedule_id, block_start)
+       )`,
+    ],
+  },
+  {
+    version: 10,
+    name: "credit_notes_and_voids",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS credit_notes (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         credit_no TEXT NOT NULL UNIQUE,
+         invoice_id INTEGER NOT NULL,
+         amount REAL NOT NULL,
+         reason TEXT,
+         issued_at TEXT NOT NULL,
+         emailed_at TEXT,
+         created_at TEXT NOT NULL
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes(invoice_id)",
+      { addColumns: { table: "payments", columns: { credit_note_id: "INTEGER" } } },
+      { addColumns: { table: "invoices", columns: { voided_at: "TEXT", void_reason: "TEXT" } } },
+    ],
+  },
+  {
+    version: 11,
+    name: "invoice_revisions",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS invoice_revisions (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         invoice_id INTEGER NOT NULL,
+         rev INTEGER NOT NULL,
+         source TEXT NOT NULL,
+         actor TEXT,
+         restored_from INTEGER,
+         snapshot_json TEXT NOT NULL,
+         created_at TEXT NOT NULL,
+         UNIQUE (invoice_id, rev)
+       )`,
+    ],
+  },
+  {
+    version: 12,
+    name: "invoice_lifecycle",
+    steps: [
+      { addColumns: { table: "invoices", columns: { state: "TEXT NOT NULL DEFAULT 'draft'", sent_at: "TEXT" } } },
+      { addColumns: { table: "invoice_revisions", columns: { unlock_reason: "TEXT" } } },
+      "UPDATE invoices SET sent_at = emailed_invoice_at WHERE sent_at IS NULL",
+      // Same rules as invoiceState()
+      `UPDATE invoices SET state = CASE
+         WHEN voided_at IS NOT NULL THEN 'void'
+         WHEN (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = invoices.id) > 0 THEN
+           CASE WHEN ROUND(COALESCE(total, 0)
+                      - (SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn WHERE cn.invoice_id = invoices.id)
+                      - (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = invoices.id), 2) > 0
+                THEN 'part-paid' ELSE 'paid' END
+         WHEN (SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn WHERE cn.invoice_id = invoices.id) > 0
+              AND ROUND(COALESCE(total, 0) - (SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn WHERE cn.invoice_id = invoices.id), 2) <= 0
+           THEN 'credited'
+         WHEN customer_viewed_at IS NOT NULL THEN 'viewed'
+         WHEN sent_at IS NOT NULL THEN 'sent'
+         ELSE 'draft'
+       END`,
+      "CREATE INDEX IF NOT EXISTS idx_invoices_state ON invoices(state)",
+    ],
+  },
+  {
+    version: 13,
+    name: "email_outbox",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS email_outbox (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         kind TEXT NOT NULL,
+         invoice_id INTEGER,
+         customer_id INTEGER,
+         payment_id INTEGER,
+         credit_note_id INTEGER,
+         to_address TEXT NOT NULL,
+         subject TEXT NOT NULL,
+         html TEXT,
+         text TEXT,
+         attachments_json TEXT,
+         transport TEXT,
+         status TEXT NOT NULL,
+         attempts INTEGER NOT NULL DEFAULT 0,
+         last_error TEXT,
+         provider_id TEXT,
+         next_attempt_at TEXT,
+         created_at TEXT NOT NULL,
+         sent_at TEXT
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_email_outbox_invoice ON email_outbox(invoice_id)",
+      "CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)",
+    ],
+  },
+  {
+    version: 14,
+    name: "business_profiles",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS business_profiles (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         name TEXT NOT NULL,
+         address TEXT,
+         email TEXT,
+         phone TEXT,
+         bank_account_name TEXT,
+         bank_sort_code TEXT,
+         bank_account_no TEXT,
+         payment_terms TEXT,
+         payment_instructions TEXT,
+         deposit_label TEXT,
+         brand_colour TEXT,
+         logo_type TEXT,
+         logo_data TEXT,
+         logo_updated_at TEXT,
+         is_default INTEGER NOT NULL DEFAULT 0,
+         created_at TEXT NOT NULL,
+         updated_at TEXT NOT NULL
+       )`,
+      // Seed with the identity the documents used to hard-code, and put every
+      // existing invoice (and its history) under it
+      {
+        ifNewTable: "business_profiles",
+        steps: [
+          {
+            sql: `INSERT INTO business_profiles (name, address, email, phone, deposit_label, brand_colour, is_default, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+            binds: ["name", "address", "email", "phone", "deposit_label", "brand_colour"].map((k) => DEFAULT_BUSINESS_PROFILE[k]),
+          },
+        ],
+      },
+      { addColumns: { table: "invoices", columns: { profile_id: "INTEGER" } } },
+      { addColumns: { table: "schedules", columns: { profile_id: "INTEGER" } } },
+      { addColumns: { table: "email_outbox", columns: { reply_to: "TEXT" } } },
+      "UPDATE invoices SET profile_id = (SELECT id FROM business_profiles WHERE is_default = 1) WHERE profile_id IS NULL",
+      `UPDATE invoice_revisions SET snapshot_json = json_set(snapshot_json, '$.profile_id',
+         (SELECT profile_id FROM invoices WHERE invoices.id = invoice_revisions.invoice_id))
+       WHERE json_valid(snapshot_json) AND json_extract(snapshot_json, '$.profile_id') IS NULL`,
+    ],
+  },
+  {
+    version: 15,
+    name: "email_templates",
+    steps: [
+      `CREATE TABLE IF NOT EXISTS email_templates (
+         name TEXT PRIMARY KEY,
+         subject TEXT,
+         html TEXT,
+         text TEXT,
+         created_at TEXT NOT NULL,
+         updated_at TEXT NOT NULL
+       )`,
+    ],
+  },
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const SCHEMA_MIGRATIONS_DDL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+
+// Routes that don't wait for (or fail on) pending migrations
+const SCHEMA_EXEMPT_ROUTES = [/^\/api\/health$/, /^\/api\/admin\/migrate$/, /^\/api\/auth\//];
+
+// Column names from "CREATE TABLE IF NOT EXISTS name (...)", skipping table
+// constraints. Commas inside parentheses (defaults, composite keys) don't split.
+function parseCreateTable(sql) {
+  const m = /^\s*CREATE TABLE IF NOT EXISTS (\w+)\s*\(([\s\S]*)\)\s*$/i.exec(sql);
+  if (!m) return null;
+
+  const columns = [];
+  let depth = 0;
+  let part = "";
+  for (const ch of m[2] + ",") {
+    if (ch === "," && depth === 0) {
+      const name = part.trim().split(/\s+/)[0];
+      if (name && !/^(PRIMARY|UNIQUE|FOREIGN|CHECK|CONSTRAINT)$/i.test(name)) columns.push(name);
+      part = "";
+      continue;
+    }
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    part += ch;
+  }
+  return { table: m[1], columns };
+}
+
+// Turns a migration's steps into the statements to run against `schema`
+// (table name -> Set of column names), updating it as tables and columns are
+// added so later steps and migrations see the result.
+function resolveSteps(steps, schema, tablesBefore = new Set(schema.keys())) {
+  const out = [];
+  for (const step of steps) {
+    if (step.addColumns) {
+      const { table, columns } = step.addColumns;
+      const have = schema.get(table);
+      if (!have) throw new Error(`Migration adds columns to missing table ${table}`);
+      for (const [name, type] of Object.entries(columns)) {
+        if (have.has(name)) continue;
+        out.push({ sql: `ALTER TABLE ${table} ADD COLUMN ${name} ${type}`, binds: [] });
+        have.add(name);
+      }
+    } else if (step.ifNewTable) {
+      if (!tablesBefore.has(step.ifNewTable)) out.push(...resolveSteps(step.steps, schema, tablesBefore));
+    } else {
+      const stmt = typeof step === "string" ? { sql: step, binds: [] } : { sql: step.sql, binds: step.binds || [] };
+      const created = parseCreateTable(stmt.sql);
+      if (created && !schema.has(created.table)) schema.set(created.table, new Set(created.columns));
+      out.push(stmt);
+    }
+  }
+  return out;
+}
+
+// What the tables and columns should be once every migration has run
+let expectedSchemaCache = null;
+function expectedSchema() {
+  if (!expectedSchemaCache) {
+    expectedSchemaCache = new Map();
+    for (const m of MIGRATIONS) resolveSteps(m.steps, expectedSchemaCache);
+  }
+  return expectedSchemaCache;
+}
+
+async function liveSchema(env) {
+  const db = env.emm_invoices;
+  const tables = await db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+    .all();
+
+  const schema = new Map();
+  for (const { name } of tables.results || []) {
+    if (name.startsWith("_cf_")) continue;
+    const info = await db.prepare(`PRAGMA table_info(${name})`).all();
+    schema.set(name, new Set((info.results || []).map((r) => r.name)));
+  }
+  return schema;
+}
+
+async function appliedMigrations(env, schema) {
+  if (!schema.has("schema_migrations")) return [];
+  const rows = await env.emm_invoices
+    .prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version")
+    .all();
+  return rows.results || [];
+}
+
+function schemaVersion(applied) {
+  return applied.reduce((v, m) => Math.max(v, Number(m.version) || 0), 0);
+}
+
+// Applies every pending migration in order, or with dryRun just lists the
+// statements each would run against the database as it stands.
+async function runMigrations(env, { dryRun = false } = {}) {
+  const db = env.emm_invoices;
+  const schema = await liveSchema(env);
+  const applied = await appliedMigrations(env, schema);
+  const done = new Set(applied.map((m) => Number(m.version)));
+  const from = schemaVersion(applied);
+
+  const pending = MIGRATIONS.filter((m) => !done.has(m.version)).map((m) => ({
+    version: m.version,
+    name: m.name,
+    statements: resolveSteps(m.steps, schema),
+  }));
+
+  const report = {
+    from_version: from,
+    to_version: dryRun || !pending.length ? from : LATEST_SCHEMA_VERSION,
+    latest_version: LATEST_SCHEMA_VERSION,
+    migrations: pending.map((m) => ({ version: m.version, name: m.name, statements: m.statements.map((s) => s.sql) })),
+  };
+  if (dryRun || !pending.length) return report;
+
+  await db.prepare(SCHEMA_MIGRATIONS_DDL).run();
+  for (const m of pending) {
+    try {
+      await db.batch([
+        ...m.statements.map((s) => db.prepare(s.sql).bind(...s.binds)),
+        db
+          .prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+          .bind(m.version, m.name, nowIso()),
+      ]);
+    } catch (e) {
+      throw new Error(`Migration ${m.version} (${m.name}) failed: ${e?.message || e}`);
+    }
+  }
+  return report;
+}
+
+// Requests migrate on first use in each isolate unless AUTO_MIGRATE is
+// "false", in which case POST /api/admin/migrate has to be called after a
+// deploy. A failed attempt is retried by the next request.
+let schemaReady = null;
+function ensureSchema(env) {
+  if (String(env.AUTO_MIGRATE ?? "true").toLowerCase() === "false") return Promise.resolve();
+  if (!schemaReady) {
+    schemaReady = runMigrations(env).catch((e) => {
+      schemaReady = null;
+      throw e;
+    });
+  }
+  return schemaReady;
+}
+
+// For /api/health: version, pending migrations and anything the migrations
+// expect that the database doesn't have.
+async function schemaStatus(env) {
+  const live = await liveSchema(env);
+  const applied = await appliedMigrations(env, live);
+  const done = new Set(applied.map((m) => Number(m.version)));
+
+  const missingTables = [];
+  const missingColumns = {};
+  for (const [table, columns] of expectedSchema()) {
+    const have = live.get(table);
+    if (!have) {
+      missingTables.push(table);
+      continue;
+    }
+    const missing = [...columns].filter((c) => !have.has(c));
+    if (missing.length) missingColumns[table] = missing;
+  }
+
+  return {
+    ok: !missingTables.length && !Object.keys(missingColumns).length && done.size >= MIGRATIONS.length,
+    version: schemaVersion(applied),
+    latest_version: LATEST_SCHEMA_VERSION,
+    pending: MIGRATIONS.filter((m) => !done.has(m.version)).map((m) => ({ version: m.version, name: m.name })),
+    missing_tables: missingTables,
+    missing_columns: missingColumns,
+  };
+}
+
+// --- Invoice listing
+// GET /api/invoices pages newest first with an opaque cursor (the last id on
+// the page). Filters: customer_id, profile_id, status (paid, unpaid or overdue), state
+// (lifecycle, comma-separated), programme, issued_from/issued_to and
+// due_from/due_to (YYYY-MM-DD), min_total/max_total, and q, which matches the
+// invoice number, customer name or any item description.
+const LIST_STATUSES = {
+  paid: "i.state = 'paid'",
+  unpaid: "i.state IN ('draft', 'sent', 'viewed', 'part-paid')",
+  overdue: "i.state IN ('draft', 'sent', 'viewed', 'part-paid') AND i.due_date < ?",
+};
+const DEFAULT_LIST_LIMIT = 30;
+const MAX_LIST_LIMIT = 100;
+
+function invoiceListFilters(searchParams) {
+  const errors = [];
+  const date = (name) => {
+    const v = ymdOrNull(searchParams.get(name));
+    if (searchParams.get(name) && !v) errors.push({ field: name, error: "must be YYYY-MM-DD" });
+    return v;
+  };
+  const money = (name) => {
+    const raw = searchParams.get(name);
+    if (raw === null || raw === "") return null;
+    const v = Number(raw);
+    if (!Number.isFinite(v)) errors.push({ field: name, error: "must be a number" });
+    return Number.isFinite(v) ? v : null;
+  };
+
+  const filters = {
+    q: safeStr(searchParams.get("q")) || null,
+    customerId: Number(searchParams.get("customer_id") || 0) || null,
+    profileId: Number(searchParams.get("profile_id") || 0) || null,
+    status: safeStr(searchParams.get("status")) || null,
+    states: safeStr(searchParams.get("state")).split(",").map((x) => x.trim()).filter(Boolean),
+    programme: safeStr(searchParams.get("programme")) || null,
+    issuedFrom: date("issued_from"),
+    issuedTo: date("issued_to"),
+    dueFrom: date("due_from"),
+    dueTo: date("due_to"),
+    minTotal: money("min_total"),
+    maxTotal: money("max_total"),
+  };
+
+  if (filters.status && !LIST_STATUSES[filters.status]) {
+    errors.push({ field: "status", error: `must be one of ${Object.keys(LIST_STATUSES).join(", ")}` });
+  }
+  const unknown = filters.states.filter((x) => !INVOICE_STATES.includes(x));
+  if (unknown.length) errors.push({ field: "state", error: `must be one of ${INVOICE_STATES.join(", ")}` });
+
+  const cursor = safeStr(searchParams.get("cursor"));
+  const limit = Number(searchParams.get("limit") || DEFAULT_LIST_LIMIT);
+  if (cursor && !/^\d+$/.test(cursor)) errors.push({ field: "cursor", error: "is not one this endpoint returned" });
+  if (!Number.isInteger(limit) || limit < 1) errors.push({ field: "limit", error: "must be a positive whole number" });
+
+  return { filters, cursor: cursor ? Number(cursor) : null, limit: Math.min(limit, MAX_LIST_LIMIT), errors };
+}
+
+async function listInvoices(env, filters, { cursor = null, limit = DEFAULT_LIST_LIMIT, today = nowIso().slice(0, 10) } = {}) {
+  const where = [];
+  const binds = [];
+  if (filters.q) {
+    const like = `%${filters.q}%`;
+    where.push(`(i.invoice_no LIKE ? OR c.name LIKE ?
+      OR EXISTS (SELECT 1 FROM json_each(CASE WHEN json_valid(i.items_json) THEN i.items_json ELSE '[]' END) j
+                 WHERE json_extract(j.value, '$.desc') LIKE ?))`);
+    binds.push(like, like, like);
+  }
+  if (filters.customerId) { where.push("i.customer_id = ?"); binds.push(filters.customerId); }
+  if (filters.profileId) { where.push("i.profile_id = ?"); binds.push(filters.profileId); }
+  if (filters.status) {
+    where.push(`(${LIST_STATUSES[filters.status]})`);
+    if (filters.status === "overdue") binds.push(today);
+  }
+  if (filters.states.length) {
+    where.push(`i.state IN (${filters.states.map(() => "?").join(", ")})`);
+    binds.push(...filters.states);
+  }
+  if (filters.programme) { where.push("i.programme = ?"); binds.push(filters.programme); }
+  if (filters.issuedFrom) { where.push("date(i.issued_at) >= ?"); binds.push(filters.issuedFrom); }
+  if (filters.issuedTo) { where.push("date(i.issued_at) <= ?"); binds.push(filters.issuedTo); }
+  if (filters.dueFrom) { where.push("i.due_date >= ?"); binds.push(filters.dueFrom); }
+  if (filters.dueTo) { where.push("i.due_date <= ?"); binds.push(filters.dueTo); }
+  if (filters.minTotal !== null) { where.push("i.total >= ?"); binds.push(filters.minTotal); }
+  if (filters.maxTotal !== null) { where.push("i.total <= ?"); binds.push(filters.maxTotal); }
+
+  const from = `FROM invoices i LEFT JOIN customers c ON c.id = i.customer_id`;
+  const filtered = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const page = [...where, ...(cursor ? ["i.id < ?"] : [])];
+
+  const [rows, count] = await Promise.all([
+    env.emm_invoices
+      .prepare(
+        `SELECT i.id, i.invoice_no, i.programme, i.total, i.deposit_amount, i.issued_at, i.due_date,
+                i.paid_at, i.receipt_no, i.emailed_invoice_at, i.customer_viewed_at, i.voided_at, i.state, i.sent_at,
+                i.customer_id,
+                (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = i.id) as amount_paid,
+                ${CREDITED_SQL} as credited,
+                c.name as customer_name, c.email as customer_email
+         ${from}
+         ${page.length ? `WHERE ${page.join(" AND ")}` : ""}
+         ORDER BY i.id DESC
+         LIMIT ?`
+      )
+      .bind(...binds, ...(cursor ? [cursor] : []), limit + 1)
+      .all(),
+    env.emm_invoices.prepare(`SELECT COUNT(*) as n ${from} ${filtered}`).bind(...binds).first(),
+  ]);
+
+  const results = rows.results || [];
+  const more = results.length > limit;
+  const invoices = results.slice(0, limit).map((r) => {
+    const adjustments = { credited: r.credited, voided: !!r.voided_at };
+    const balance = round2(amountOwed(r.total, adjustments) - Number(r.amount_paid || 0));
+    return {
+      ...r,
+      balance,
+      payment_status: paymentStatus(r.total, r.amount_paid, adjustments),
+      overdue: balance > 0 && !r.voided_at && !!r.due_date && r.due_date < today,
+    };
+  });
+
+  return {
+    invoices,
+    count: Number(count?.n || 0),
+    next_cursor: more ? String(invoices[invoices.length - 1].id) : null,
+  };
+}
+
+// --- Exports
+// GET /api/export/invoices.csv takes filters (from/to on the issue date,
+// status, programme, customer_id or customer) and a profile. Every profile
+// has one row per line item, plus a "Travel Fee" line where one was charged,
+// so a month of invoices can go straight into the accounts package.
+const EXPORT_PROFILES = new Set(["raw", "xero", "quickbooks"]);
+const EXPORT_STATUSES = new Set(["paid", "unpaid", "part-paid", "overpaid", "credited", "void"]);
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  // Wrap in quotes if it contains comma, quote, or newline
+  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+function csvResponse(filename, columns, rows, { bom = false } = {}) {
+  const lines = [columns.map(csvEscape).join(","), ...rows.map((r) => r.map(csvEscape).join(","))];
+  return new Response((bom ? "\ufeff" : "") + lines.join("\r\n"), {
+    headers: {
+      "content-type": "text/csv; charset=utf-8",
+      "content-disposition": `attachment; filename="${filename}"`,
+      "cache-control": "no-store",
+    },
+  });
+}
+
+async function exportTableCsv(env, table) {
+  // Only allow known tables (prevents SQL injection)
+  const allowed = new Set(["invoices", "customers"]);
+  if (!allowed.has(table)) return bad(404, "Not found");
+
+  const colNames = await tableColumns(env, table);
+  if (!colNames.length) return bad(500, "No columns found");
+
+  const orderBy = colNames.includes("issued_at")
+    ? "ORDER BY issued_at DESC"
+    : colNames.includes("created_at")
+      ? "ORDER BY created_at DESC"
+      : "";
+
+  const selectCols = colNames.map((c) => `"${c}"`).join(", ");
+  const rows = await env.emm_invoices.prepare(`SELECT ${selectCols} FROM ${table} ${orderBy}`).all();
+
+  const date = new Date().toISOString().slice(0, 10);
+  return csvResponse(
+    `${table}-${date}.csv`,
+    colNames,
+    (rows.results || []).map((row) => colNames.map((c) => row[c])),
+    { bom: true } // so Excel opens it cleanly
+  );
+}
+
+async function exportBackupJson(env) {
+  const [customers, invoices] = await Promise.all([
+    env.emm_invoices.prepare("SELECT * FROM customers").all(),
+    env.emm_invoices.prepare("SELECT * FROM invoices").all(),
+  ]);
+
+  const payload = {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    customers: customers.results || [],
+    invoices: invoices.results || [],
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(JSON.stringify(payload, null, 2), {
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "content-disposition": `attachment; filename="emm-backup-${date}.json"`,
+      "cache-control": "no-store",
+    },
+  });
+}
+
+function ymdOrNull(v) {
+  const s = safeStr(v);
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : null;
+}
+
+// dd/mm/yyyy, which both Xero and QuickBooks UK expect
+function ukDate(value) {
+  const ymd = safeStr(value).slice(0, 10);
+  const m = ymd.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : "";
+}
+
+function exportFilters(searchParams) {
+  const filters = {
+    from: ymdOrNull(searchParams.get("from")),
+    to: ymdOrNull(searchParams.get("to")),
+    status: safeStr(searchParams.get("status")) || null,
+    programme: safeStr(searchParams.get("programme")) || null,
+    customerId: Number(searchParams.get("customer_id") || 0) || null,
+    customer: safeStr(searchParams.get("customer")) || null,
+  };
+
+  const errors = [];
+  if (searchParams.get("from") && !filters.from) errors.push({ field: "from", error: "must be YYYY-MM-DD" });
+  if (searchParams.get("to") && !filters.to) errors.push({ field: "to", error: "must be YYYY-MM-DD" });
+  if (filters.status && !EXPORT_STATUSES.has(filters.status)) {
+    errors.push({ field: "status", error: `must be one of ${[...EXPORT_STATUSES].join(", ")}` });
+  }
+  return { filters, errors };
+}
+
+// Invoices matching the filters, each with its customer, items and payment figures.
+async function loadExportInvoices(env, filters) {
+
+  const where = [];
+  const binds = [];
+  if (filters.from) { where.push("date(i.issued_at) >= ?"); binds.push(filters.from); }
+  if (filters.to) { where.push("date(i.issued_at) <= ?"); binds.push(filters.to); }
+  if (filters.programme) { where.push("i.programme = ?"); binds.push(filters.programme); }
+  if (filters.customerId) { where.push("i.customer_id = ?"); binds.push(filters.customerId); }
+  if (filters.customer) {
+    where.push("(c.name LIKE ? OR c.email LIKE ?)");
+    binds.push(`%${filters.customer}%`, `%${filters.customer}%`);
+  }
+
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT i.*,
+              (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = i.id) as amount_paid,
+              ${CREDITED_SQL} as credited,
+              c.name as customer_name, c.email as customer_email, c.address as customer_address
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY i.issued_at, i.id`
+    )
+    .bind(...binds)
+    .all();
+
+  return (rows.results || [])
+    .map((r) => {
+      let items = [];
+      try { items = JSON.parse(r.items_json || "[]"); } catch {}
+      const adjustments = { credited: r.credited, voided: !!r.voided_at };
+      return {
+        ...r,
+        items,
+        payment_status: paymentStatus(r.total, r.amount_paid, adjustments),
+        balance: round2(amountOwed(r.total, adjustments) - Number(r.amount_paid || 0)),
+      };
+    })
+    .filter((r) => {
+      if (!filters.status) return true;
+      if (filters.status === "paid") return r.payment_status === "paid" || r.payment_status === "overpaid";
+      if (filters.status === "unpaid") return r.payment_status === "unpaid" || r.payment_status === "part-paid";
+      return r.payment_status === filters.status;
+    });
+}
+
+// Line items for export, with the travel fee as its own line.
+function exportLines(inv) {
+  const lines = inv.items.map((it) => ({
+    description: `${safeStr(it.desc) || "Item"}${it.date || it.time ? ` (${[it.date, it.time].filter(Boolean).join(" ")})` : ""}`,
+    serviceDate: it.date || "",
+    qty: Number(it.qty || 0),
+    unit: round2(it.unit),
+    amount: round2(it.amount ?? Number(it.qty || 0) * Number(it.unit || 0)),
+  }));
+  if (Number(inv.travel_fee || 0) !== 0) {
+    lines.push({ description: "Travel Fee", serviceDate: "", qty: 1, unit: round2(inv.travel_fee), amount: round2(inv.travel_fee) });
+  }
+  return lines.length ? lines : [{ description: "", serviceDate: "", qty: "", unit: "", amount: "" }];
+}
+
+function addressLines(address) {
+  return safeStr(address)
+    .split(/\r?\n|,/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+const EXPORT_BUILDERS = {
+  raw(env, invoices) {
+    const invoiceCols = [
+      "id", "invoice_no", "issued_at", "due_date", "programme", "customer_id", "customer_name", "customer_email",
+      "subtotal", "travel_fee", "total", "deposit_amount", "credited", "amount_paid", "balance", "payment_status",
+      "voided_at", "void_reason", "notes",
+    ];
+    const columns = [...invoiceCols, "line_no", "line_description", "line_service_date", "line_qty", "line_unit", "line_amount"];
+    const rows = invoices.flatMap((inv) =>
+      exportLines(inv).map((l, i) => [
+        ...invoiceCols.map((c) => inv[c]),
+        l.description ? i + 1 : "",
+        l.description,
+        l.serviceDate,
+        l.qty,
+        l.unit,
+        l.amount,
+      ])
+    );
+    return { columns, rows, bom: true };
+  },
+
+  // Xero "Sales invoice" import template
+  xero(env, invoices) {
+    const accountCode = safeStr(env.XERO_ACCOUNT_CODE) || "200";
+    const taxType = safeStr(env.XERO_TAX_TYPE) || "No VAT";
+    const columns = [
+      "*ContactName", "EmailAddress", "POAddressLine1", "POAddressLine2", "POAddressLine3", "POAddressLine4",
+      "POCity", "PORegion", "POPostalCode", "POCountry", "*InvoiceNumber", "Reference", "*InvoiceDate", "*DueDate",
+      "InventoryItemCode", "*Description", "*Quantity", "*UnitAmount", "Discount", "*AccountCode", "*TaxType",
+      "TrackingName1", "TrackingOption1", "TrackingName2", "TrackingOption2", "Currency", "BrandingTheme",
+    ];
+    const rows = invoices.flatMap((inv) => {
+      const addr = addressLines(inv.customer_address);
+      return exportLines(inv).map((l) => [
+        inv.customer_name || "Unknown customer", inv.customer_email || "",
+        addr[0] || "", addr[1] || "", addr[2] || "", addr.slice(3).join(", "),
+        "", "", "", "",
+        inv.invoice_no, inv.programme || "", ukDate(inv.issued_at), ukDate(inv.due_date || inv.issued_at),
+        "", l.description, l.qty, l.unit, "", accountCode, taxType,
+        "", "", "", "", "GBP", "",
+      ]);
+    });
+    return { columns, rows };
+  },
+
+  // QuickBooks Online invoice import
+  quickbooks(env, invoices) {
+    const item = safeStr(env.QUICKBOOKS_ITEM) || "Sales";
+    const columns = [
+      "InvoiceNo", "Customer", "InvoiceDate", "DueDate", "Memo",
+      "Item(Product/Service)", "ItemDescription", "ItemQuantity", "ItemRate", "ItemAmount", "ServiceDate",
+    ];
+    const rows = invoices.flatMap((inv) =>
+      exportLines(inv).map((l) => [
+        inv.invoice_no, inv.customer_name || "Unknown customer", ukDate(inv.issued_at), ukDate(inv.due_date || inv.issued_at),
+        inv.notes || "", item, l.description, l.qty, l.unit, l.amount, ukDate(l.serviceDate),
+      ])
+    );
+    return { columns, rows };
+  },
+};
+
+async function exportInvoicesCsv(env, searchParams) {
+  const profile = safeStr(searchParams.get("profile")) || "raw";
+  if (!EXPORT_PROFILES.has(profile)) return bad(400, "profile must be 'raw', 'xero' or 'quickbooks'");
+
+  const { filters, errors } = exportFilters(searchParams);
+  if (errors.length) return bad(400, "Invalid export filters", { errors });
+
+  // Void invoices never became sales, so only the raw export carries them
+  const invoices = (await loadExportInvoices(env, filters)).filter((inv) => profile === "raw" || !inv.voided_at);
+  const { columns, rows, bom } = EXPORT_BUILDERS[profile](env, invoices);
+
+  const range = filters.from || filters.to ? `${filters.from || "start"}_${filters.to || "today"}` : new Date().toISOString().slice(0, 10);
+  return csvResponse(`invoices-${profile}-${range}.csv`, columns, rows, { bom });
+}
+
+// --- Reports
+// GET /api/reports/summary: what was invoiced (by issue date) and received
+// (by payment date) between from and to, split by month, programme and
+// payment method; the last 12 months unless given. GET /api/reports/aged-debtors:
+// what is still owed at as_of (default today), by days past the due date.
+const REPORT_PROGRAMMES = ["lessons", "school_band"];
+
+const AGED_DEBTOR_BUCKETS = [
+  { key: "not_due", label: "Not yet due", maxDays: -1 },
+  { key: "days_0_30", label: "0–30 days", maxDays: 30 },
+  { key: "days_31_60", label: "31–60 days", maxDays: 60 },
+  { key: "days_61_90", label: "61–90 days", maxDays: 90 },
+  { key: "days_over_90", label: "90+ days", maxDays: Infinity },
+];
+
+function reportFilters(searchParams) {
+  const today = nowIso().slice(0, 10);
+  const yearAgo = new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+  yearAgo.setUTCMonth(yearAgo.getUTCMonth() - 11);
+
+  // Real calendar dates only (Date.parse rejects 2026-13-01)
+  const date = (v) => {
+    const ymd = ymdOrNull(v);
+    return ymd && !Number.isNaN(Date.parse(ymd)) ? ymd : null;
+  };
+
+  const filters = {
+    from: date(searchParams.get("from")) || yearAgo.toISOString().slice(0, 10),
+    to: date(searchParams.get("to")) || today,
+    programme: safeStr(searchParams.get("programme")) || null,
+    asOf: date(searchParams.get("as_of")) || today,
+  };
+
+  const errors = [];
+  for (const [field, key] of [["from", "from"], ["to", "to"], ["as_of", "asOf"]]) {
+    if (searchParams.get(field) && filters[key] !== searchParams.get(field)) errors.push({ field, error: "must be YYYY-MM-DD" });
+  }
+  if (!errors.length && filters.from > filters.to) errors.push({ field: "from", error: "must not be after to" });
+  return { filters, errors };
+}
+
+// "YYYY-MM" for every month from..to inclusive
+function monthsBetween(from, to) {
+  const months = [];
+  const d = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (d.toISOString().slice(0, 7) <= to.slice(0, 7)) {
+    months.push(d.toISOString().slice(0, 7));
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+async function revenueSummary(env, { from, to, programme }) {
+  const only = programme ? " AND i.programme = ?" : "";
+  const binds = programme ? [from, to, programme] : [from, to];
+
+  const [invoiced, received, credited] = await Promise.all([
+    env.emm_invoices
+      .prepare(
+        `SELECT substr(i.issued_at, 1, 7) as month, COALESCE(i.programme, 'lessons') as programme,
+                COUNT(*) as count, COALESCE(SUM(i.total), 0) as amount
+         FROM invoices i
+         WHERE substr(i.issued_at, 1, 10) BETWEEN ? AND ?${only}
+         GROUP BY month, programme`
+      )
+      .bind(...binds)
+      .all(),
+    env.emm_invoices
+      .prepare(
+        `SELECT substr(p.paid_at, 1, 7) as month, COALESCE(i.programme, 'lessons') as programme,
+                COALESCE(NULLIF(TRIM(p.method), ''), 'Unknown') as method,
+                COUNT(*) as count, COALESCE(SUM(p.amount), 0) as amount
+         FROM payments p
+         JOIN invoices i ON i.id = p.invoice_id
+         WHERE substr(p.paid_at, 1, 10) BETWEEN ? AND ?${only}
+         GROUP BY month, programme, method`
+      )
+      .bind(...binds)
+      .all(),
+    // Credit notes, and voids for whatever they hadn't already credited, in the month they happened
+    env.emm_invoices
+      .prepare(
+        `SELECT substr(day, 1, 7) as month, programme, COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+         FROM (
+           SELECT cn.issued_at as day, i.programme, cn.amount
+           FROM credit_notes cn
+           JOIN invoices i ON i.id = cn.invoice_id
+           UNION ALL
+           SELECT i.voided_at, i.programme, i.total - ${CREDITED_SQL}
+           FROM invoices i
+           WHERE i.voided_at IS NOT NULL
+         ) i
+         WHERE substr(day, 1, 10) BETWEEN ? AND ?${only}
+         GROUP BY month, COALESCE(programme, 'lessons')`
+      )
+      .bind(...binds)
+      .all(),
+  ]);
+
+  const blank = () => ({ invoiced: 0, invoice_count: 0, credited: 0, credit_count: 0, received: 0, payment_count: 0 });
+  const byMonth = new Map(monthsBetween(from, to).map((m) => [m, { month: m, ...blank() }]));
+  const byProgramme = new Map(
+    (programme ? [programme] : REPORT_PROGRAMMES).map((p) => [p, { programme: p, ...blank() }])
+  );
+  const byMethod = new Map();
+  const totals = blank();
+
+  const add = (target, field, countField, r) => {
+    target[field] = round2(target[field] + Number(r.amount || 0));
+    target[countField] += Number(r.count || 0);
+  };
+  const programmeRow = (p) => {
+    if (!byProgramme.has(p)) byProgramme.set(p, { programme: p, ...blank() });
+    return byProgramme.get(p);
+  };
+
+  for (const r of invoiced.results || []) {
+    if (byMonth.has(r.month)) add(byMonth.get(r.month), "invoiced", "invoice_count", r);
+    add(programmeRow(r.programme), "invoiced", "invoice_count", r);
+    add(totals, "invoiced", "invoice_count", r);
+  }
+  for (const r of credited.results || []) {
+    const p = r.programme || "lessons";
+    if (byMonth.has(r.month)) add(byMonth.get(r.month), "credited", "credit_count", r);
+    add(programmeRow(p), "credited", "credit_count", r);
+    add(totals, "credited", "credit_count", r);
+  }
+  for (const r of received.results || []) {
+    if (byMonth.has(r.month)) add(byMonth.get(r.month), "received", "payment_count", r);
+    add(programmeRow(r.programme), "received", "payment_count", r);
+    if (!byMethod.has(r.method)) byMethod.set(r.method, { method: r.method, received: 0, payment_count: 0 });
+    add(byMethod.get(r.method), "received", "payment_count", r);
+    add(totals, "received", "payment_count", r);
+  }
+
+  return {
+    from,
+    to,
+    programme,
+    totals,
+    by_month: [...byMonth.values()],
+    by_programme: [...byProgramme.values()],
+    by_method: [...byMethod.values()].sort((a, b) => b.received - a.received),
+  };
+}
+
+// Each unsettled invoice's balance at asOf, counting only payments made by then
+async function agedDebtors(env, { asOf }) {
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT i.id, i.invoice_no, i.programme, i.total, i.issued_at, i.due_date, i.customer_id,
+              c.name as customer_name, c.email as customer_email,
+              (SELECT COALESCE(SUM(p.amount), 0) FROM payments p
+               WHERE p.invoice_id = i.id AND substr(p.paid_at, 1, 10) <= ?) as amount_paid,
+              (SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn
+               WHERE cn.invoice_id = i.id AND substr(cn.issued_at, 1, 10) <= ?) as credited
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE substr(i.issued_at, 1, 10) <= ?
+         AND (i.voided_at IS NULL OR substr(i.voided_at, 1, 10) > ?)`
+    )
+    .bind(asOf, asOf, asOf, asOf)
+    .all();
+
+  const blank = () => ({ ...Object.fromEntries(AGED_DEBTOR_BUCKETS.map((b) => [b.key, 0])), total: 0 });
+  const totals = blank();
+  const customers = new Map();
+  const invoices = [];
+
+  for (const r of rows.results || []) {
+    const balance = round2(amountOwed(r.total, { credited: r.credited }) - Number(r.amount_paid || 0));
+    if (balance <= 0) continue;
+
+    const due = safeStr(r.due_date).slice(0, 10) || safeStr(r.issued_at).slice(0, 10);
+    const daysOverdue = Math.round((Date.parse(asOf) - Date.parse(due)) / 86400000);
+    const bucket = AGED_DEBTOR_BUCKETS.find((b) => daysOverdue <= b.maxDays).key;
+
+    invoices.push({
+      id: r.id,
+      invoice_no: r.invoice_no,
+      customer_id: r.customer_id,
+      customer_name: r.customer_name,
+      programme: r.programme,
+      due_date: due,
+      days_overdue: daysOverdue,
+      total: round2(r.total),
+      credited: round2(r.credited),
+      amount_paid: round2(r.amount_paid),
+      balance,
+      bucket,
+    });
+
+    const key = r.customer_id ?? 0;
+    if (!customers.has(key)) {
+      customers.set(key, { customer_id: r.customer_id, name: r.customer_name || "Unknown customer", email: r.customer_email, ...blank(), oldest_days_overdue: daysOverdue });
+    }
+    const c = customers.get(key);
+    for (const target of [c, totals]) {
+      target[bucket] = round2(target[bucket] + balance);
+      target.total = round2(target.total + balance);
+    }
+    c.oldest_days_overdue = Math.max(c.oldest_days_overdue, daysOverdue);
+  }
+
+  return {
+    as_of: asOf,
+    buckets: AGED_DEBTOR_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    customers: [...customers.values()].sort((a, b) => b.oldest_days_overdue - a.oldest_days_overdue || b.total - a.total),
+    invoices: invoices.sort((a, b) => b.days_overdue - a.days_overdue),
+  };
+}
+
+// --- Backup restore
+// Reads the version 1 backup.json (customers + invoices) back in. Customers are
+// matched on email (or name + address when there's no email) and every backup
+// customer id is remapped to the id it ends up with here. invoice_no decides
+// invoice conflicts: "skip" keeps ours, "overwrite" replaces ours, "rename"
+// adds the backup copy as <invoice_no>-R<n>. The plan is built first (that's
+// the dry run) and then applied as one D1 batch, ledger and revisions
+// included, so a failure changes nothing.
+const RESTORE_STRATEGIES = new Set(["skip", "overwrite", "rename"]);
+
+async function tableColumns(env, table) {
+  const info = await env.emm_invoices.prepare(`PRAGMA table_info(${table})`).all();
+  return (info.results || []).map((r) => r.name);
+}
+
+// Next id that has never been used, even by a deleted row.
+async function nextRowId(env, table) {
+  const max = await env.emm_invoices.prepare(`SELECT COALESCE(MAX(id), 0) as id FROM ${table}`).first();
+  const seq = await env.emm_invoices
+    .prepare("SELECT seq FROM sqlite_sequence WHERE name = ?")
+    .bind(table)
+    .first()
+    .catch(() => null);
+  return Math.max(Number(max?.id || 0), Number(seq?.seq || 0)) + 1;
+}
+
+function customerKey(c) {
+  const email = safeStr(c.email).toLowerCase();
+  return email ? `email:${email}` : `name:${safeStr(c.name).toLowerCase()}|${safeStr(c.address).toLowerCase()}`;
+}
+
+// Columns from a backup row that this table has, minus id.
+function restorableValues(row, columns) {
+  const out = {};
+  for (const col of columns) {
+    if (col === "id" || !(col in row)) continue;
+    const v = row[col];
+    out[col] = v === undefined ? null : v !== null && typeof v === "object" ? JSON.stringify(v) : v;
+  }
+  return out;
+}
+
+function insertStatement(db, table, id, values) {
+  const cols = ["id", ...Object.keys(values)];
+  return db
+    .prepare(`INSERT INTO ${table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`)
+    .bind(id, ...Object.values(values));
+}
+
+function updateStatement(db, table, id, values) {
+  const cols = Object.keys(values);
+  return db
+    .prepare(`UPDATE ${table} SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`)
+    .bind(...Object.values(values), id);
+}
+
+// Ledger rows for a restored invoice, the same way the payments backfill does it.
+function restoredLedgerRows(inv, takenReceipts, numbers) {
+  const now = nowIso();
+  const rows = [];
+  const deposit = inv.programme === "school_band" ? Number(inv.deposit_amount || 0) : 0;
+
+  if (deposit > 0) {
+    const issued = new Date(inv.issued_at ?? "");
+    rows.push({
+      kind: "deposit",
+      amount: round2(deposit),
+      paid_at: isNaN(issued) ? now : issued.toISOString(),
+      method: "Stripe",
+      source: "form",
+      created_at: now,
+    });
+  }
+
+  if (inv.paid_at) {
+    const receiptNo = inv.receipt_no && !takenReceipts.has(inv.receipt_no) ? inv.receipt_no : null;
+    if (receiptNo) {
+      takenReceipts.add(receiptNo);
+      numbers.receipt.push(receiptNo);
+    }
+    rows.push({
+      kind: "payment",
+      amount: round2(Math.max(0, Number(inv.total || 0) - deposit)),
+      paid_at: inv.paid_at,
+      method: inv.paid_method ?? null,
+      ref: inv.paid_ref ?? null,
+      receipt_no: receiptNo,
+      source: "legacy",
+      emailed_receipt_at: inv.emailed_receipt_at ?? null,
+      created_at: now,
+    });
+  }
+  return rows;
+}
+
+function validateBackup(backup) {
+  const errors = [];
+  if (!backup || typeof backup !== "object") return [{ field: "backup", error: "must be a JSON object" }];
+  if (backup.version !== 1) errors.push({ field: "version", error: "only version 1 backups are supported" });
+  if (!Array.isArray(backup.customers)) errors.push({ field: "customers", error: "must be an array" });
+  if (!Array.isArray(backup.invoices)) errors.push({ field: "invoices", error: "must be an array" });
+  if (errors.length) return errors;
+
+  const seenNos = new Set();
+  backup.customers.forEach((c, i) => {
+    if (!c || !safeStr(c.name)) errors.push({ field: `customers[${i}].name`, error: "is required" });
+  });
+  backup.invoices.forEach((inv, i) => {
+    const no = safeStr(inv?.invoice_no);
+    if (!no) errors.push({ field: `invoices[${i}].invoice_no`, error: "is required" });
+    else if (seenNos.has(no)) errors.push({ field: `invoices[${i}].invoice_no`, error: `duplicate ${no} in backup` });
+    seenNos.add(no);
+  });
+  return errors;
+}
+
+// Works out every change a restore would make. Returns { statements, report }.
+async function planRestore(env, backup, { strategy, customerMap = {}, unlockReason = null, replaceReceipts = false, actor = null }) {
+  const db = env.emm_invoices;
+
+  const [customerCols, invoiceCols] = await Promise.all([tableColumns(env, "customers"), tableColumns(env, "invoices")]);
+  const statements = [];
+  const report = { customers: [], invoices: [], customer_map: {}, warnings: [] };
+
+  // Customers
+  const existingCustomers = (await db.prepare("SELECT * FROM customers").all()).results || [];
+  const existingById = new Map(existingCustomers.map((c) => [c.id, c]));
+  const existingByKey = new Map();
+  for (const c of existingCustomers) if (!existingByKey.has(customerKey(c))) existingByKey.set(customerKey(c), c);
+  // Customers as they'll be once the restore is in, for the invoices' revisions
+  const restoredById = new Map(existingById);
+
+  let nextCustomerId = await nextRowId(env, "customers");
+  for (const c of backup.customers) {
+    const values = restorableValues(c, customerCols);
+    const forced = customerMap[c.id];
+    const match = forced !== undefined ? existingById.get(Number(forced)) : existingByKey.get(customerKey(c));
+
+    if (forced !== undefined && !match) {
+      report.warnings.push(`customer_map sends ${c.id} to ${forced}, which doesn't exist; adding as new`);
+    }
+
+    if (match) {
+      const action = strategy === "overwrite" ? "updated" : "matched";
+      if (action === "updated") {
+        statements.push(updateStatement(db, "customers", match.id, values));
+        restoredById.set(match.id, { ...match, ...values });
+      }
+      report.customer_map[c.id] = match.id;
+      report.customers.push({ backup_id: c.id ?? null, id: match.id, name: c.name, action });
+    } else {
+      const id = nextCustomerId++;
+      statements.push(insertStatement(db, "customers", id, values));
+      existingByKey.set(customerKey(c), { ...c, id });
+      restoredById.set(id, { ...values, id });
+      report.customer_map[c.id] = id;
+      report.customers.push({ backup_id: c.id ?? null, id, name: c.name, action: "inserted" });
+    }
+  }
+
+  // Invoices
+  const existingInvoices = (await db.prepare("SELECT * FROM invoices").all()).results || [];
+  const existingByNo = new Map(existingInvoices.map((i) => [i.invoice_no, i]));
+  const takenNos = new Set(existingByNo.keys());
+  backup.invoices.forEach((inv) => takenNos.add(safeStr(inv.invoice_no)));
+
+  const groupBy = (rows) => {
+    const out = new Map();
+    for (const r of rows) out.set(r.invoice_id, [...(out.get(r.invoice_id) || []), r]);
+    return out;
+  };
+  const paymentsByInvoice = groupBy((await db.prepare("SELECT * FROM payments ORDER BY paid_at, id").all()).results || []);
+  const creditNotesByInvoice = groupBy((await db.prepare("SELECT invoice_id, amount FROM credit_notes").all()).results || []);
+  const latestRevisions = (
+    await db
+      .prepare(
+        `SELECT r.invoice_id, r.snapshot_json FROM invoice_revisions r
+         WHERE r.rev = (SELECT MAX(rev) FROM invoice_revisions WHERE invoice_id = r.invoice_id)`
+      )
+      .all()
+  ).results || [];
+  const latestSnapshots = new Map(
+    latestRevisions.map((r) => {
+      let snapshot = null;
+      try { snapshot = JSON.parse(r.snapshot_json); } catch {}
+      return [r.invoice_id, snapshot];
+    })
+  );
+
+  // An existing invoice is only overwritten when it isn't settled or void (or
+  // there's an unlock_reason), none of its payments has a receipt (or
+  // replace_receipts says to replace them), and the backup's total still
+  // covers the credit notes already issued against it.
+  const overwriteRefusal = (existing, inv, invoiceNo) => {
+    const receipts = (paymentsByInvoice.get(existing.id) || []).filter((p) => p.kind !== "refund" && p.receipt_no).map((p) => p.receipt_no);
+    const credited = invoiceAdjustments(existing, creditNotesByInvoice.get(existing.id) || []).credited;
+    const total = round2(inv.total ?? existing.total ?? 0);
+
+    if (LOCKED_STATES.has(existing.state) && !unlockReason) {
+      return {
+        warning: `${invoiceNo}: invoice is ${existing.state}, so it's locked; give an unlock_reason to overwrite it`,
+        state: existing.state,
+        locked: true,
+      };
+    }
+    if (receipts.length && !replaceReceipts) {
+      return {
+        warning: `${invoiceNo}: payments with receipt(s) ${receipts.join(", ")} would be deleted; give replace_receipts to overwrite it`,
+        receipts,
+      };
+    }
+    if (credited > total) {
+      return {
+        warning: `${invoiceNo}: credit notes of ${gbp(credited)} are already issued against it, more than the backup's total of ${gbp(total)}; left as it is`,
+        credited,
+      };
+    }
+    return null;
+  };
+
+  const overwriting = new Set();
+  const plans = backup.invoices.map((inv) => {
+    const invoiceNo = safeStr(inv.invoice_no);
+    const existing = existingByNo.get(invoiceNo);
+    const refusal = existing && strategy === "overwrite" ? overwriteRefusal(existing, inv, invoiceNo) : null;
+    if (existing && strategy === "overwrite" && !refusal) overwriting.add(existing.id);
+    return { inv, existing, refusal };
+  });
+
+  // Receipt numbers stay unique; ones on rows being overwritten are freed up
+  const takenReceipts = new Set();
+  for (const [invoiceId, payments] of paymentsByInvoice) {
+    if (overwriting.has(invoiceId)) continue;
+    for (const p of payments) if (p.receipt_no) takenReceipts.add(p.receipt_no);
+  }
+
+  // Restored invoice and receipt numbers, so the counters can be moved past them
+  const numbers = { invoice: [], receipt: [] };
+
+  const withCustomer = (row, customers) => {
+    const c = customers.get(row.customer_id) || {};
+    return { ...row, customer_name: c.name, customer_email: c.email, customer_address: c.address, customer_phone: c.phone };
+  };
+
+  // Writes the invoice with its ledger rows and the state and paid_* columns
+  // they give it, then records it as an "import" revision (after a baseline
+  // for an existing invoice with no history yet), all in the one batch.
+  let nextPaymentId = await nextRowId(env, "payments");
+  const writeInvoice = (id, values, { existing = null, unlocked = false } = {}) => {
+    const row = { ...existing, ...values };
+    const added = restoredLedgerRows(row, takenReceipts, numbers).map((p) => ({ id: nextPaymentId++, invoice_id: id, ...p }));
+    // Refunds belong to credit notes, which a restore leaves alone
+    const kept = existing ? (paymentsByInvoice.get(id) || []).filter((p) => p.kind === "refund") : [];
+    const ledger = [...kept, ...added].sort((a, b) => String(a.paid_at ?? "").localeCompare(String(b.paid_at ?? "")) || a.id - b.id);
+    const { fields } = ledgerFields(row, ledger, existing ? creditNotesByInvoice.get(id) || [] : []);
+
+    if (existing) {
+      statements.push(db.prepare("DELETE FROM payments WHERE invoice_id = ? AND kind != 'refund'").bind(id));
+      statements.push(updateStatement(db, "invoices", id, { ...values, ...fields }));
+    } else {
+      statements.push(insertStatement(db, "invoices", id, { ...values, ...fields }));
+    }
+    for (const { id: paymentId, ...p } of added) statements.push(insertStatement(db, "payments", paymentId, p));
+
+    let latest = latestSnapshots.get(id) ?? null;
+    if (existing && !latestSnapshots.has(id)) {
+      latest = invoiceSnapshot(withCustomer(existing, existingById));
+      statements.push(revisionStatement(db, id, latest, { source: "baseline" }));
+    }
+    const snapshot = invoiceSnapshot(withCustomer({ ...row, ...fields }, restoredById));
+    if (!latest || unlocked || diffSnapshots(latest, snapshot).length) {
+      statements.push(revisionStatement(db, id, snapshot, { source: "import", actor, unlockReason: unlocked ? unlockReason : null }));
+    }
+  };
+
+  let nextInvoiceId = await nextRowId(env, "invoices");
+  for (const { inv, existing, refusal } of plans) {
+    const invoiceNo = safeStr(inv.invoice_no);
+    const values = restorableValues(inv, invoiceCols);
+    values.invoice_no = invoiceNo;
+
+    if (inv.customer_id === null || inv.customer_id === undefined) {
+      values.customer_id = null;
+    } else if (report.customer_map[inv.customer_id] !== undefined) {
+      values.customer_id = report.customer_map[inv.customer_id];
+    } else {
+      values.customer_id = null;
+      report.warnings.push(`${invoiceNo}: customer ${inv.customer_id} isn't in the backup; left without a customer`);
+    }
+
+    if (!existing) {
+      const id = nextInvoiceId++;
+      writeInvoice(id, values);
+      numbers.invoice.push(invoiceNo);
+      report.invoices.push({ invoice_no: invoiceNo, id, action: "inserted" });
+      continue;
+    }
+
+    const sameAs = (row) =>
+      Object.entries(values).every(([k, v]) => k === "invoice_no" || String(row[k] ?? "") === String(v ?? ""));
+    if (sameAs(existing)) {
+      report.invoices.push({ invoice_no: invoiceNo, id: existing.id, action: "unchanged" });
+      continue;
+    }
+
+    if (strategy === "skip") {
+      report.invoices.push({ invoice_no: invoiceNo, id: existing.id, action: "skipped", conflict: true });
+    } else if (refusal) {
+      const { warning, ...why } = refusal;
+      report.warnings.push(warning);
+      report.invoices.push({ invoice_no: invoiceNo, id: existing.id, action: "skipped", ...why, conflict: true });
+    } else if (strategy === "overwrite") {
+      const replaced = (paymentsByInvoice.get(existing.id) || []).filter((p) => p.kind !== "refund").length;
+      if (replaced) report.warnings.push(`${invoiceNo}: ${replaced} recorded payment(s) replaced by the backup's paid details`);
+      const unlocked = LOCKED_STATES.has(existing.state);
+      writeInvoice(existing.id, values, { existing, unlocked });
+      report.invoices.push({
+        invoice_no: invoiceNo,
+        id: existing.id,
+        action: "updated",
+        conflict: true,
+        ...(unlocked ? { state: existing.state, unlocked: true } : {}),
+      });
+    } else {
+      // Restoring the same backup again shouldn't add a second renamed copy
+      const copy = existingInvoices.find((row) => row.invoice_no.startsWith(`${invoiceNo}-R`) && sameAs(row));
+      if (copy) {
+        report.invoices.push({ invoice_no: invoiceNo, id: copy.id, action: "unchanged", renamed_to: copy.invoice_no });
+        continue;
+      }
+
+      let n = 1;
+      while (takenNos.has(`${invoiceNo}-R${n}`)) n++;
+      const renamed = `${invoiceNo}-R${n}`;
+      takenNos.add(renamed);
+
+      const id = nextInvoiceId++;
+      writeInvoice(id, { ...values, invoice_no: renamed });
+      report.invoices.push({ invoice_no: invoiceNo, id, action: "renamed", renamed_to: renamed, existing_id: existing.id, conflict: true });
+    }
+  }
+
+  statements.push(...numberCatchUpStatements(env, numbers));
+
+  const count = (list, action) => list.filter((r) => r.action === action).length;
+  report.summary = {
+    customers: { inserted: count(report.customers, "inserted"), updated: count(report.customers, "updated"), matched: count(report.customers, "matched") },
+    invoices: {
+      inserted: count(report.invoices, "inserted"),
+      updated: count(report.invoices, "updated"),
+      renamed: count(report.invoices, "renamed"),
+      skipped: count(report.invoices, "skipped"),
+      unchanged: count(report.invoices, "unchanged"),
+    },
+    conflicts: report.invoices.filter((r) => r.conflict).length,
+  };
+
+  return { statements, report };
+}
+
+// --- Auth
+// Every /api route needs a session except health, the Stripe webhook and
+// /api/auth/* itself. The browser signs in with ADMIN_PASSWORD and gets an
+// HttpOnly cookie holding "<expiry>.<nonce>.<HMAC>" signed with SESSION_SECRET
+// (rotating the secret signs everyone out). Scripts can instead send
+// "Authorization: Bearer <token>" with one of the comma-separated API_TOKENS.
+const SESSION_COOKIE = "emm_session";
+const DEFAULT_SESSION_DAYS = 14;
+const PUBLIC_API_ROUTES = [/^\/api\/health$/, /^\/api\/webhooks\//, /^\/api\/auth\//];
+
+function authConfigured(env) {
+  return !!(env.ADMIN_PASSWORD && env.SESSION_SECRET);
+}
+
+function readCookie(request, name) {
+  for (const part of (request.headers.get("Cookie") || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > -1 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+// Compares secrets via their HMACs so the check takes the same time whatever the length.
+async function secretsMatch(env, given, expected) {
+  const [a, b] = await Promise.all([
+    hmacSha256(env.SESSION_SECRET, `compare.${given}`),
+    hmacSha256(env.SESSION_SECRET, `compare.${expected}`),
+  ]);
+  return timingSafeEqual(hex(a), hex(b));
+}
+
+async function createSession(env) {
+  const days = Number(env.SESSION_DAYS) > 0 ? Number(env.SESSION_DAYS) : DEFAULT_SESSION_DAYS;
+  const exp = Math.floor(Date.now() / 1000 + days * 86400);
+  const payload = `${exp}.${base64Url(crypto.getRandomValues(new Uint8Array(12)))}`;
+  return {
+    value: `${payload}.${base64Url(await hmacSha256(env.SESSION_SECRET, `session.${payload}`))}`,
+    maxAge: days * 86400,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+async function verifySession(env, value) {
+  const parts = String(value || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = base64Url(await hmacSha256(env.SESSION_SECRET, `session.${payload}`));
+  if (!timingSafeEqual(parts[2], expected)) return null;
+
+  const exp = Number(parts[0]);
+  if (!Number.isInteger(exp) || exp * 1000 <= Date.now()) return null;
+  return { via: "session", expires_at: new Date(exp * 1000).toISOString() };
+}
+
+function sessionCookie(value, maxAge) {
+  return `${SESSION_COOKIE}=${value}; Path=/api; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+// { via, expires_at } for a signed-in request, else null. Tokens also carry
+// their 1-based position in API_TOKENS so changes can say which one made them.
+async function authenticate(request, env) {
+  const bearer = (request.headers.get("Authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (bearer) {
+    const tokens = String(env.API_TOKENS || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    for (const [i, token] of tokens.entries()) {
+      if (await secretsMatch(env, bearer, token)) return { via: "token", token: i + 1, expires_at: null };
+    }
+    return null;
+  }
+
+  return verifySession(env, readCookie(request, SESSION_COOKIE));
+}
+
+async function handleApi(request, env, ctx, url) {
+  const { pathname, searchParams } = url;
+
+  // Browsers always send Origin on cross-site requests; refuse any we don't know
+  const origin = request.headers.get("Origin");
+  if (origin && origin !== url.origin && !allowedOrigins(env).includes(origin)) {
+    return bad(403, "Origin not allowed");
+  }
+
+  // --- Auth gate
+  let auth = null;
+  if (!PUBLIC_API_ROUTES.some((re) => re.test(pathname))) {
+    if (!authConfigured(env)) return bad(503, "Sign-in not configured (missing ADMIN_PASSWORD or SESSION_SECRET)");
+    auth = await authenticate(request, env);
+    if (!auth) return bad(401, "Not signed in");
+  }
+
+  // --- Schema (see "Schema migrations"); health and migrate report on it instead
+  if (env.emm_invoices && !SCHEMA_EXEMPT_ROUTES.some((re) => re.test(pathname))) {
+    try {
+      await ensureSchema(env);
+    } catch (e) {
+      return bad(500, String(e?.message || e));
+    }
+  }
+
+  // --- Health
+  if (pathname === "/api/health" && request.method === "GET") {
+    const hasDB = !!env.emm_invoices;
+    const hasASSETS = !!env.ASSETS;
+    let dbTest = null;
+    let schema = null;
+
+    if (hasDB) {
+      try {
+        await env.emm_invoices.prepare("SELECT 1 as ok").first();
+        dbTest = "ok";
+        schema = await schemaStatus(env);
+      } catch (e) {
+        dbTest = String(e?.message || e);
+      }
+    }
+
+    return json({ ok: true, time: nowIso(), hasDB, dbTest, hasASSETS, schema });
+  }
+
+  // --- Schema migrations (?dry_run=1 lists the pending statements without running them)
+  if (pathname === "/api/admin/migrate" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const dryRun = ["1", "true"].includes(searchParams.get("dry_run"));
+
+    try {
+      const report = await runMigrations(env, { dryRun });
+      return json({ ok: true, dry_run: dryRun, ...report });
+    } catch (e) {
+      return bad(500, String(e?.message || e), { schema: await schemaStatus(env) });
+    }
+  }
+
+  // --- Sign in / out
+  if (pathname === "/api/auth/login" && request.method === "POST") {
+    if (!authConfigured(env)) return bad(503, "Sign-in not configured (missing ADMIN_PASSWORD or SESSION_SECRET)");
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    if (!(await secretsMatch(env, safeStr(body.password), env.ADMIN_PASSWORD))) {
+      return bad(401, "Wrong password");
+    }
+
+    const session = await createSession(env);
+    return json(
+      { ok: true, authenticated: true, expires_at: session.expiresAt },
+      { headers: { "Set-Cookie": sessionCookie(session.value, session.maxAge) } }
+    );
+  }
+
+  if (pathname === "/api/auth/logout" && request.method === "POST") {
+    return json({ ok: true, authenticated: false }, { headers: { "Set-Cookie": sessionCookie("", 0) } });
+  }
+
+  if (pathname === "/api/auth/session" && request.method === "GET") {
+    const configured = authConfigured(env);
+    const auth = configured ? await authenticate(request, env) : null;
+    return json({ ok: true, configured, authenticated: !!auth, via: auth?.via ?? null, expires_at: auth?.expires_at ?? null });
+  }
+
+  // --- Customers (list/search: ?q= matches name, email, address or phone; ?phone= / ?address= narrow further)
+  if (pathname === "/api/customers" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const q = safeStr(searchParams.get("q") || searchParams.get("search"));
+    const phone = phoneDigits(searchParams.get("phone"));
+    const address = safeStr(searchParams.get("address"));
+    const limit = Math.min(Number(searchParams.get("limit") || 25), 100);
+
+    const where = [];
+    const binds = [];
+    if (q) {
+      const like = `%${q}%`;
+      const match = ["c.name LIKE ?", "c.email LIKE ?", "c.address LIKE ?"];
+      binds.push(like, like, like);
+      if (phoneDigits(q).length >= 3) {
+        match.push(`${PHONE_DIGITS_SQL} LIKE ?`);
+        binds.push(`%${phoneDigits(q)}%`);
+      }
+      where.push(`(${match.join(" OR ")})`);
+    }
+    if (phone) { where.push(`${PHONE_DIGITS_SQL} LIKE ?`); binds.push(`%${phone}%`); }
+    if (address) { where.push("c.address LIKE ?"); binds.push(`%${address}%`); }
+
+    const rows = await env.emm_invoices
+      .prepare(
+        `SELECT ${CUSTOMER_COLUMNS}
+         FROM customers c
+         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+         ORDER BY c.id DESC
+         LIMIT ?`
+      )
+      .bind(...binds, limit)
+      .all();
+
+    return json({ ok: true, customers: rows.results || [] });
+  }
+
+  // --- Merge duplicate customers: { into, from: [ids] }
+  if (pathname === "/api/customers/merge" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    const intoId = Number(body.into || 0);
+    const fromIds = [...new Set((Array.isArray(body.from) ? body.from : []).map(Number))];
+    if (!Number.isInteger(intoId) || intoId <= 0) return bad(400, "into must be a customer id");
+    if (!fromIds.length || fromIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return bad(400, "from must be a list of customer ids");
+    }
+    if (fromIds.includes(intoId)) return bad(400, "A customer can't be merged into itself");
+
+    const into = await loadCustomer(env, intoId);
+    if (!into) return bad(404, `Customer ${intoId} not found`);
+    const duplicates = [];
+    for (const id of fromIds) {
+      const c = await loadCustomer(env, id);
+      if (!c) return bad(404, `Customer ${id} not found`);
+      duplicates.push(c);
+    }
+
+    const { invoicesMoved } = await mergeCustomers(env, into, duplicates);
+    return json({ ok: true, id: intoId, merged: fromIds, invoices_moved: invoicesMoved, customer: await loadCustomer(env, intoId) });
+  }
+
+  // --- Customer: get (with invoices and likely duplicates) / update / delete
+  {
+    const m = pathname.match(/^\/api\/customers\/(\d+)$/);
+    if (m && ["GET", "PUT", "DELETE"].includes(request.method)) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const current = await loadCustomer(env, id);
+      if (!current) return bad(404, "Customer not found");
+
+      if (request.method === "GET") {
+        const rows = await env.emm_invoices
+          .prepare(
+            `SELECT i.id, i.invoice_no, i.programme, i.total, i.issued_at, i.due_date, i.voided_at,
+                    (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.invoice_id = i.id) as amount_paid,
+                    ${CREDITED_SQL} as credited
+             FROM invoices i
+             WHERE i.customer_id = ?
+             ORDER BY i.id DESC`
+          )
+          .bind(id)
+          .all();
+        const invoices = (rows.results || []).map((r) => {
+          const adjustments = { credited: r.credited, voided: !!r.voided_at };
+          return {
+            ...r,
+            owed: amountOwed(r.total, adjustments),
+            balance: round2(amountOwed(r.total, adjustments) - Number(r.amount_paid || 0)),
+            payment_status: paymentStatus(r.total, r.amount_paid, adjustments),
+          };
+        });
+        const sum = (field) => round2(invoices.reduce((s, r) => s + Number(r[field] || 0), 0));
+        // Voids count as credited for whatever was left of them
+        const totals = { invoiced: sum("total"), credited: round2(sum("total") - sum("owed")), paid: sum("amount_paid") };
+        totals.balance = round2(totals.invoiced - totals.credited - totals.paid);
+
+        return json({ ok: true, customer: current, invoices, totals, duplicates: await findDuplicateCustomers(env, current) });
+      }
+
+      if (request.method === "DELETE") {
+        if (Number(current.invoice_count) > 0) {
+          return bad(409, `Customer has ${current.invoice_count} invoice(s); merge it into another customer instead`, {
+            invoice_count: Number(current.invoice_count),
+          });
+        }
+        // Their recurring schedules go too; nothing has been billed from them yet
+        await env.emm_invoices.batch([
+          env.emm_invoices
+            .prepare("DELETE FROM schedule_blocks WHERE schedule_id IN (SELECT id FROM schedules WHERE customer_id = ?)")
+            .bind(id),
+          env.emm_invoices.prepare("DELETE FROM schedules WHERE customer_id = ?").bind(id),
+          env.emm_invoices.prepare("DELETE FROM customers WHERE id = ?").bind(id),
+        ]);
+        return json({ ok: true, id });
+      }
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const { customer, error } = readCustomerBody(body, current);
+      if (error) return bad(400, error);
+
+      const clash = await customerWithEmail(env, customer.email, id);
+      if (clash) return bad(409, `${customer.email} belongs to another customer (${clash.name})`, { conflict_id: clash.id });
+
+      await env.emm_invoices
+        .prepare("UPDATE customers SET name = ?, email = ?, address = ?, phone = ? WHERE id = ?")
+        .bind(customer.name, customer.email, customer.address, customer.phone, id)
+        .run();
+
+      return json({ ok: true, customer: await loadCustomer(env, id) });
+    }
+  }
+
+  // --- Customer statement (?from=&to= YYYY-MM-DD; ?format=html|text, JSON otherwise)
+  {
+    const m = pathname.match(/^\/api\/customers\/(\d+)\/(statement|email-statement)$/);
+    if (m && request.method === (m[2] === "statement" ? "GET" : "POST")) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const body = m[2] === "email-statement" ? (await readJson(request)) || {} : {};
+      const range = {};
+      for (const key of ["from", "to"]) {
+        const raw = safeStr(searchParams.get(key) ?? body[key]);
+        if (raw && !ymdOrNull(raw)) return bad(400, `${key} must be YYYY-MM-DD`);
+        range[key] = ymdOrNull(raw);
+      }
+      if (range.from && range.to && range.from > range.to) return bad(400, "from must not be after to");
+      const profileId = Number(searchParams.get("profile_id") ?? body.profile_id ?? 0) || null;
+
+      if (m[2] === "email-statement") {
+        const result = await sendStatementEmail({ env, customerId: id, ...range, profileId });
+        if (result.notFound) return bad(404, "Customer not found");
+        return json({ ok: true, id, emailed: result.emailed, error: result.error || null, retry_at: result.retryAt || null });
+      }
+
+      const { customer, data, error } = await loadStatementData(env, id, { ...range, profileId });
+      if (error) return bad(404, error);
+
+      const format = safeStr(searchParams.get("format")).toLowerCase() || "json";
+      if (format === "html") {
+        return new Response(renderStatementHtml(data), { headers: { "content-type": "text/html; charset=utf-8" } });
+      }
+      if (format === "text") {
+        return new Response(renderStatementText(data), { headers: { "content-type": "text/plain; charset=utf-8" } });
+      }
+      if (format !== "json") return bad(400, "format must be json, html or text");
+
+      return json({
+        ok: true,
+        customer,
+        from: data.from,
+        to: data.to,
+        as_of: data.asOf,
+        opening_balance: data.openingBalance,
+        invoiced: data.invoiced,
+        received: data.received,
+        closing_balance: data.closingBalance,
+        entries: data.entries,
+        aged: data.aged,
+      });
+    }
+  }
+
+  // --- Catalogue list (?date=YYYY-MM-DD for prices on a given day, ?all=1 for inactive too)
+  if (pathname === "/api/catalog" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const items = await listCatalog(env, {
+      date: searchParams.get("date"),
+      includeInactive: searchParams.get("all") === "1",
+    });
+    return json({ ok: true, items });
+  }
+
+  // --- Catalogue create
+  if (pathname === "/api/catalog" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    const { item, error } = readCatalogBody(body);
+    if (error) return bad(400, error);
+
+    const id = await insertCatalogItem(env, item);
+    return json({ ok: true, id, version: 1 });
+  }
+
+  // --- Catalogue entry: get (with version history) / update / delete
+  {
+    const m = pathname.match(/^\/api\/catalog\/(\d+)$/);
+    if (m && ["GET", "PUT", "DELETE"].includes(request.method)) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const current = await env.emm_invoices
+        .prepare("SELECT * FROM catalog_items WHERE id = ?")
+        .bind(id)
+        .first();
+      if (!current) return bad(404, "Catalogue item not found");
+
+      if (request.method === "GET") {
+        const versions = await env.emm_invoices
+          .prepare("SELECT * FROM catalog_item_versions WHERE item_id = ? ORDER BY version DESC")
+          .bind(id)
+          .all();
+        return json({ ok: true, item: { ...current, active: !!current.active }, versions: versions.results || [] });
+      }
+
+      if (request.method === "DELETE") {
+        // Versions are kept so invoices priced from this entry still resolve
+        await env.emm_invoices.prepare("DELETE FROM catalog_items WHERE id = ?").bind(id).run();
+        return json({ ok: true, id });
+      }
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const { item, error } = readCatalogBody(body, current);
+      if (error) return bad(400, error);
+
+      const priced =
+        item.name !== current.name ||
+        item.unit_price !== Number(current.unit_price) ||
+        item.programme !== (current.programme || null) ||
+        (body.effective_from !== undefined && item.effective_from !== (current.effective_from || null));
+
+      let version = Number(current.version || 1);
+      const now = nowIso();
+
+      if (priced) {
+        version += 1;
+        // An undated change applies from today, so older invoices keep the old price
+        if (body.effective_from === undefined) item.effective_from = now.slice(0, 10);
+
+        await env.emm_invoices
+          .prepare(
+            `INSERT INTO catalog_item_versions (item_id, version, name, unit_price, programme, effective_from, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(id, version, item.name, item.unit_price, item.programme, item.effective_from, now)
+          .run();
+      }
+
+      await env.emm_invoices
+        .prepare(
+          `UPDATE catalog_items
+           SET name = ?, unit_price = ?, programme = ?, kind = ?, active = ?, effective_from = ?,
+               version = ?, sort_order = ?, updated_at = ?
+           WHERE id = ?`
+        )
+        .bind(item.name, item.unit_price, item.programme, item.kind, item.active, item.effective_from, version, item.sort_order, now, id)
+        .run();
+
+      return json({ ok: true, id, version });
+    }
+  }
+
+  // --- Settings: every business profile, and which is the default (see "Business profiles")
+  if (pathname === "/api/settings" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const profiles = await listBusinessProfiles(env);
+    return json({ ok: true, profiles, default_profile_id: profiles.find((p) => p.is_default)?.id ?? null });
+  }
+
+  // --- Business profile create ({ ...fields, logo?: data URL, is_default? })
+  if (pathname === "/api/settings/profiles" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    const { profile, errors } = readProfileBody(body);
+    if (errors.length) return bad(422, "Invalid business profile", { errors });
+
+    const id = await saveBusinessProfile(env, null, profile);
+    if (body.is_default === true) await setDefaultProfile(env, id);
+    return json({ ok: true, profile: publicProfile(await loadBusinessProfile(env, id)) });
+  }
+
+  // --- Business profile: get / update / delete. PUT /api/settings updates
+  // body.id, or the default profile without one.
+  {
+    const m = pathname.match(/^\/api\/settings(?:\/profiles\/(\d+))?$/);
+    if (m && (m[1] ? ["GET", "PUT", "DELETE"] : ["PUT"]).includes(request.method)) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+
+      const body = request.method === "PUT" ? await readJson(request) : {};
+      if (!body) return bad(400, "Invalid JSON");
+
+      const id = Number(m[1] || body.id || 0) || null;
+      const current = id
+        ? await env.emm_invoices.prepare(`SELECT ${PROFILE_COLUMNS} FROM business_profiles p WHERE p.id = ?`).bind(id).first()
+        : await loadBusinessProfile(env);
+      if (!current) return bad(404, "Business profile not found");
+
+      if (request.method === "GET") return json({ ok: true, profile: publicProfile(current) });
+
+      if (request.method === "DELETE") {
+        if (current.is_default) return bad(409, "That's the default profile; make another one the default first");
+        // Invoices keep pointing at the profile they were issued under
+        const used = await env.emm_invoices
+          .prepare("SELECT COUNT(*) as n FROM invoices WHERE profile_id = ?")
+          .bind(current.id)
+          .first();
+        if (used.n) return bad(409, `${used.n} invoice(s) were issued under that profile, so it can't be deleted`, { invoices: used.n });
+        await env.emm_invoices.batch([
+          env.emm_invoices.prepare("UPDATE schedules SET profile_id = NULL WHERE profile_id = ?").bind(current.id),
+          env.emm_invoices.prepare("DELETE FROM business_profiles WHERE id = ?").bind(current.id),
+        ]);
+        return json({ ok: true, id: current.id });
+      }
+
+      const { profile, errors } = readProfileBody(body, current);
+      if (body.is_default === false && current.is_default) {
+        errors.push({ field: "is_default", error: "make another profile the default instead" });
+      }
+      if (errors.length) return bad(422, "Invalid business profile", { errors });
+
+      await saveBusinessProfile(env, current.id, profile);
+      if (body.is_default === true && !current.is_default) await setDefaultProfile(env, current.id);
+      return json({ ok: true, profile: publicProfile(await loadBusinessProfile(env, current.id)) });
+    }
+  }
+
+  // --- Email templates: each email, and whether it has a stored template (see "Email templates")
+  if (pathname === "/api/templates" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const rows = await env.emm_invoices.prepare("SELECT * FROM email_templates").all();
+    const stored = new Map((rows.results || []).map((r) => [r.name, r]));
+    return json({ ok: true, templates: Object.keys(EMAIL_TEMPLATES).map((name) => publicTemplate(name, stored.get(name))) });
+  }
+
+  // --- Email template: get (with its placeholders and an example to start from) /
+  // save ({ subject, html, text }; blank parts stay built-in) / delete (back to built-in)
+  {
+    const m = pathname.match(/^\/api\/templates\/([a-z_]+)$/);
+    if (m && ["GET", "PUT", "DELETE"].includes(request.method)) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const name = m[1];
+      const kind = EMAIL_TEMPLATES[name];
+      if (!kind) return bad(404, "No such email template");
+
+      if (request.method === "DELETE") {
+        await env.emm_invoices.prepare("DELETE FROM email_templates WHERE name = ?").bind(name).run();
+        return json({ ok: true, template: publicTemplate(name, null) });
+      }
+
+      if (request.method === "GET") {
+        return json({
+          ok: true,
+          template: publicTemplate(name, await loadEmailTemplate(env, name)),
+          fields: kind.fields.map((field) => ({ name: field, ...TEMPLATE_FIELDS[field] })),
+          example: kind.example,
+        });
+      }
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const { template, errors } = readTemplateBody(name, body);
+      if (errors.length) return bad(422, "Invalid template", { errors });
+
+      if (!template.subject && !template.html && !template.text) {
+        await env.emm_invoices.prepare("DELETE FROM email_templates WHERE name = ?").bind(name).run();
+        return json({ ok: true, template: publicTemplate(name, null) });
+      }
+
+      const now = nowIso();
+      await env.emm_invoices
+        .prepare(
+          `INSERT INTO email_templates (name, subject, html, text, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT(name) DO UPDATE SET subject = excluded.subject, html = excluded.html, text = excluded.text, updated_at = excluded.updated_at`
+        )
+        .bind(name, template.subject, template.html, template.text, now, now)
+        .run();
+      return json({ ok: true, template: publicTemplate(name, await loadEmailTemplate(env, name)) });
+    }
+  }
+
+  // --- Email template preview against a real invoice ({ invoice_id, payment_id?, days_from_due? },
+  // or { customer_id, from?, to? } for the statement). Any of subject / html / text in the
+  // body previews that draft instead of what's stored; nothing is sent.
+  {
+    const m = pathname.match(/^\/api\/templates\/([a-z_]+)\/preview$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const name = m[1];
+      const kind = EMAIL_TEMPLATES[name];
+      if (!kind) return bad(404, "No such email template");
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      let draft;
+      if (Object.keys(TEMPLATE_PARTS).some((part) => part in body)) {
+        const { template, errors } = readTemplateBody(name, body);
+        if (errors.length) return bad(422, "Invalid template", { errors });
+        draft = template;
+      }
+
+      const { data, error, notFound } = await kind.load(env, body);
+      if (error) return bad(notFound ? 404 : 400, error);
+
+      const { subject, html, text, template } = await composeEmail(env, name, data, draft);
+      return json({ ok: true, name, template, subject, html, text });
+    }
+  }
+
+  // --- Next invoice/receipt/credit note number. Only a preview: numbers are
+  // taken by the insert that uses them, so nothing is used up here.
+  if (pathname === "/api/invoices/next-number" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const body = (await readJson(request)) || {};
+
+    const series = safeStr(body.series) || "invoice";
+    if (!NUMBER_SERIES[series]) return bad(400, "series must be 'invoice', 'receipt' or 'credit_note'");
+
+    const number = await peekNextNumber(env, series, body.date);
+    return json({ ok: true, series, number, preview: true });
+  }
+
+  // --- Invoices list (see "Invoice listing")
+  if (pathname === "/api/invoices" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const { filters, cursor, limit, errors } = invoiceListFilters(searchParams);
+    if (errors.length) return bad(400, "Invalid invoice filters", { errors });
+
+    return json({ ok: true, ...(await listInvoices(env, filters, { cursor, limit })) });
+  }
+
+  // --- Get invoice by id
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)$/);
+    if (m && request.method === "GET") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const row = await env.emm_invoices
+        .prepare(
+          `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address, c.phone as customer_phone,
+                  (SELECT MAX(r.rev) FROM invoice_revisions r WHERE r.invoice_id = i.id) as rev
+           FROM invoices i
+           LEFT JOIN customers c ON c.id = i.customer_id
+           WHERE i.id = ?`
+        )
+        .bind(id)
+        .first();
+
+      if (!row) return bad(404, "Invoice not found");
+
+      let items = [];
+      try { items = JSON.parse(row.items_json || "[]"); } catch {}
+
+      const payments = await loadPayments(env, id);
+      const creditNotes = await loadCreditNotes(env, id);
+
+      return json({
+        ok: true,
+        invoice: {
+          id: row.id,
+          invoice_no: row.invoice_no,
+          programme: row.programme,
+          subtotal: row.subtotal,
+          travel_fee: row.travel_fee,
+          total: row.total,
+          deposit_amount: row.deposit_amount,
+          notes: row.notes,
+          issued_at: row.issued_at,
+          due_date: row.due_date,
+          paid_at: row.paid_at,
+          paid_method: row.paid_method,
+          paid_ref: row.paid_ref,
+          receipt_no: row.receipt_no,
+          emailed_receipt_at: row.emailed_receipt_at,
+          emailed_invoice_at: row.emailed_invoice_at ?? null,
+          customer_viewed_at: row.customer_viewed_at ?? null,
+          voided_at: row.voided_at ?? null,
+          void_reason: row.void_reason ?? null,
+          state: row.state,
+          locked: LOCKED_STATES.has(row.state),
+          sent_at: row.sent_at ?? null,
+          rev: row.rev ?? null,
+          ...paymentSummary(row.total, payments, invoiceAdjustments(row, creditNotes)),
+          payments,
+          credit_notes: creditNotes,
+          customer: {
+            id: row.customer_id,
+            name: row.customer_name,
+            email: row.customer_email,
+            address: row.customer_address,
+            phone: row.customer_phone,
+          },
+          items,
+        },
+      });
+    }
+  }
+
+  // --- Invoice history: revisions, oldest first, each with the fields it changed
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/history$/);
+    if (m && request.method === "GET") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const inv = await env.emm_invoices.prepare("SELECT id, invoice_no FROM invoices WHERE id = ?").bind(id).first();
+      if (!inv) return bad(404, "Invoice not found");
+
+      const revisions = await loadRevisions(env, id);
+      const history = revisions.map((r, i) => ({
+        rev: r.rev,
+        created_at: r.created_at,
+        source: r.source,
+        actor: r.actor,
+        restored_from: r.restored_from,
+        unlock_reason: r.unlock_reason ?? null,
+        total: r.snapshot?.total ?? null,
+        changed: i === 0 ? [] : diffSnapshots(revisions[i - 1].snapshot, r.snapshot).map((c) => c.field),
+      }));
+
+      return json({ ok: true, id, invoice_no: inv.invoice_no, revisions: history.reverse() });
+    }
+  }
+
+  // --- One revision and what it changed (?against=prev (default), current, or a revision number).
+  // before is the "against" side, after is this revision.
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/history\/(\d+)$/);
+    if (m && request.method === "GET") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const revNo = Number(m[2]);
+
+      const revisions = await loadRevisions(env, id);
+      const revision = revisions.find((r) => r.rev === revNo);
+      if (!revision) return bad(404, "Revision not found");
+
+      const against = safeStr(searchParams.get("against")) || "prev";
+      let base;
+      if (against === "prev") {
+        base = { rev: revisions[revisions.indexOf(revision) - 1]?.rev ?? null };
+        base.snapshot = revisions.find((r) => r.rev === base.rev)?.snapshot ?? null;
+      } else if (against === "current") {
+        base = { rev: "current", snapshot: await loadInvoiceSnapshot(env, id) };
+      } else if (/^\d+$/.test(against)) {
+        const other = revisions.find((r) => r.rev === Number(against));
+        if (!other) return bad(404, `Revision ${against} not found`);
+        base = { rev: other.rev, snapshot: other.snapshot };
+      } else {
+        return bad(400, "against must be prev, current or a revision number");
+      }
+
+      return json({
+        ok: true,
+        id,
+        revision,
+        against: base.rev,
+        changes: diffSnapshots(base.snapshot, revision.snapshot),
+      });
+    }
+  }
+
+  // --- Restore a revision (saved as a new revision, so it can be undone the same way)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/restore\/(\d+)$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const revNo = Number(m[2]);
+
+      const revision = (await loadRevisions(env, id)).find((r) => r.rev === revNo);
+      if (!revision?.snapshot) return bad(404, "Revision not found");
+
+      const body = (await readJson(request)) || {};
+      const before = await loadInvoiceSnapshot(env, id);
+      const result = await restoreInvoiceRevision(env, id, revision, {
+        actor: authActor(auth),
+        unlockReason: safeStr(body.unlock_reason) || null,
+      });
+      if (result.locked) return lockedError(result.locked, { id });
+      if (result.error) {
+        const { status, error, ...extra } = result;
+        return bad(status, error, extra);
+      }
+
+      return json({
+        ok: true,
+        id,
+        rev: result.rev,
+        restored_from: revNo,
+        changes: diffSnapshots(before, await loadInvoiceSnapshot(env, id)),
+        warnings: result.warnings,
+      });
+    }
+  }
+
+  // --- Upsert invoice (also saves its customer)
+  if (pathname === "/api/invoices" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    let invoiceNo = safeStr(body.invoice_no);
+    const invoiceId = Number(body.id || 0) || null;
+
+    if (invoiceNo) {
+      // Never let a save silently overwrite a different invoice with the same
+      // number; only the invoice's own id can save over it
+      const clash = await env.emm_invoices
+        .prepare("SELECT id FROM invoices WHERE invoice_no = ? LIMIT 1")
+        .bind(invoiceNo)
+        .first();
+      if (clash && clash.id !== invoiceId) {
+        return bad(409, `Invoice number ${invoiceNo} is already used by another invoice`, { conflict_id: clash.id });
+      }
+    }
+
+    const programme = safeStr(body.programme) || "lessons";
+
+    const dueDate = safeStr(body.due_date) || null;
+    const notes = safeStr(body.notes) || null;
+
+    const cust = body.customer || {};
+    if (!safeStr(cust.name)) return bad(400, "Customer name is required");
+
+    // Recompute every figure from the lines; the browser's totals are only checked.
+    // Mismatches are corrected and reported, or rejected outright with strict mode.
+    const computed = computeInvoiceTotals({
+      items: body.items,
+      travel_fee: body.travel_fee,
+      deposit_amount: body.deposit_amount,
+      programme,
+    });
+    if (computed.errors.length) {
+      return bad(422, "Invoice figures are invalid", { errors: computed.errors });
+    }
+
+    const mismatches = totalsMismatches(body, computed);
+    const strict = body.strict === true || searchParams.get("strict") === "1";
+    if (strict && mismatches.length) {
+      return bad(422, "Invoice totals don't match its items", { errors: mismatches, totals: computed.totals });
+    }
+
+    const { subtotal, travel_fee: travelFee, total, deposit_amount: depositAmount } = computed.totals;
+    const items = computed.items;
+    const itemsJson = JSON.stringify(items);
+
+    // Settled and void invoices are locked (see "Invoice lifecycle"), and credit
+    // notes can't end up worth more than the invoice
+    const existing = invoiceId
+      ? await env.emm_invoices
+          .prepare(`SELECT i.id, i.invoice_no, i.state, i.profile_id, ${CREDITED_SQL} as credited FROM invoices i WHERE i.id = ?`)
+          .bind(invoiceId)
+          .first()
+      : null;
+    if (invoiceId && !existing) return bad(404, "Invoice not found");
+    // Saving without a number keeps the one it has
+    if (existing && !invoiceNo) invoiceNo = existing.invoice_no;
+    // base_rev is the revision the editor started from. If the invoice has been
+    // changed since (another device, or an offline save replayed late), say what
+    // changed rather than overwrite it; force: true saves over it anyway.
+    const baseRev = body.base_rev === undefined || body.base_rev === null || body.base_rev === "" ? null : Number(body.base_rev);
+    if (existing && baseRev !== null && body.force !== true) {
+      const conflict = await revisionConflict(env, existing.id, baseRev);
+      if (conflict) return bad(409, "Invoice has been changed since it was loaded", { id: existing.id, conflict: true, ...conflict });
+    }
+
+    // Which business profile it's issued under: kept as it was when not given,
+    // the default for new invoices
+    let profileId = Number(body.profile_id || 0) || null;
+    if (profileId) {
+      const profile = await env.emm_invoices.prepare("SELECT id FROM business_profiles WHERE id = ?").bind(profileId).first();
+      if (!profile) return bad(422, "Invalid invoice", { errors: [{ field: "profile_id", error: "no such business profile" }] });
+    } else {
+      profileId = existing?.profile_id ?? (await loadBusinessProfile(env))?.id ?? null;
+    }
+
+    const unlockReason = safeStr(body.unlock_reason) || null;
+    if (existing && LOCKED_STATES.has(existing.state) && !unlockReason) {
+      const changed = lockedChanges(
+        await loadInvoiceSnapshot(env, existing.id),
+        {
+          invoice_no: invoiceNo, programme, due_date: dueDate, notes, subtotal, travel_fee: travelFee, total,
+          deposit_amount: depositAmount, profile_id: profileId, items,
+        },
+        Number(cust.id ?? body.customer_id ?? 0) || null
+      );
+      if (changed.length) return lockedError(existing.state, { id: existing.id, changed });
+    }
+    if (existing && round2(existing.credited) > total) {
+      return bad(409, `Invoice has ${gbp(existing.credited)} of credit notes against it, more than the new total`, { id: existing.id });
+    }
+    const depositChange = existing && (await issuedDepositChange(env, existing.id, depositAmount));
+    if (depositChange) {
+      const { status, error, ...extra } = depositChange;
+      return bad(status, error, { id: existing.id, ...extra });
+    }
+    if (existing) await ensureBaselineRevision(env, existing.id);
+
+    // Upsert customer (see "Customers")
+    const savedCustomer = await saveInvoiceCustomer(env, { ...cust, id: cust.id ?? body.customer_id });
+    if (savedCustomer.error) {
+      return bad(savedCustomer.status, savedCustomer.error, savedCustomer.conflict_id ? { conflict_id: savedCustomer.conflict_id } : {});
+    }
+    const customerId = savedCustomer.id;
+
+    const values = [customerId, profileId, programme, subtotal, travelFee, total, depositAmount, itemsJson, notes, dueDate];
+    let saved;
+    if (existing) {
+      // By id, so a changed number renames this invoice rather than adding another
+      await env.emm_invoices
+        .prepare(
+          `UPDATE invoices SET
+             invoice_no = ?, customer_id = ?, profile_id = ?, programme = ?,
+             subtotal = ?, travel_fee = ?, total = ?,
+             deposit_amount = ?, items_json = ?, notes = ?, due_date = ?
+           WHERE id = ?`
+        )
+        .bind(invoiceNo, ...values, existing.id)
+        .run();
+      saved = { id: existing.id };
+    } else {
+      const insert = (numberSql) =>
+        env.emm_invoices.prepare(
+          `INSERT INTO invoices (
+            invoice_no, customer_id, profile_id, programme,
+            subtotal, travel_fee, total,
+            deposit_amount, items_json, notes, due_date
+          ) VALUES (${numberSql}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          RETURNING id, invoice_no`
+        );
+
+      let inserted;
+      if (invoiceNo) {
+        try {
+          inserted = await insert("?").bind(invoiceNo, ...values).all();
+        } catch (e) {
+          // Taken between the check above and now (another tab, a replayed save)
+          if (/UNIQUE/i.test(String(e?.message))) return bad(409, `Invoice number ${invoiceNo} is already used by another invoice`);
+          throw e;
+        }
+      } else {
+        // New invoices get the next number in the sequence
+        const number = await nextNumberStatements(env, "invoice");
+        [, inserted] = await numberedBatch(env, "invoice", [number.bump, insert(number.sql).bind(...number.args, ...values)]);
+      }
+      saved = { id: inserted.results[0].id };
+      invoiceNo = inserted.results[0].invoice_no;
+    }
+
+    await syncFormDeposit(env, saved.id, depositAmount);
+
+    const source = REVISION_SOURCES.has(body.source) ? body.source : "save";
+    const rev = await recordInvoiceRevision(env, saved.id, { source, actor: authActor(auth), unlockReason });
+    const { state } = await env.emm_invoices.prepare("SELECT state FROM invoices WHERE id = ?").bind(saved.id).first();
+
+    return json({
+      ok: true,
+      id: saved?.id,
+      invoice_no: invoiceNo,
+      state,
+      rev,
+      customer_id: customerId,
+      profile_id: profileId,
+      totals: computed.totals,
+      items,
+      adjusted: mismatches,
+    });
+  }
+
+  // --- Run payment reminders now (?dry_run=1 lists what would be sent)
+  if (pathname === "/api/reminders/run" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const dryRun = searchParams.get("dry_run") === "1";
+    const today = safeStr(searchParams.get("today")).slice(0, 10) || undefined;
+    if (today && !/^\d{4}-\d{2}-\d{2}$/.test(today)) return bad(400, "today must be YYYY-MM-DD");
+
+    const result = await runReminders(env, { dryRun, today });
+    return json({ ok: true, dry_run: dryRun, ...result });
+  }
+
+  // --- Email outbox: delivery history (?invoice_id=, customer_id=, status=, kind=, cursor=, limit=)
+  if (pathname === "/api/emails" && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    const status = safeStr(searchParams.get("status")) || null;
+    if (status && !EMAIL_STATUSES.includes(status)) return bad(400, `status must be one of ${EMAIL_STATUSES.join(", ")}`);
+    const cursor = safeStr(searchParams.get("cursor"));
+    if (cursor && !/^\d+$/.test(cursor)) return bad(400, "cursor is not one this endpoint returned");
+
+    const result = await listEmails(env, {
+      invoiceId: Number(searchParams.get("invoice_id") || 0) || null,
+      customerId: Number(searchParams.get("customer_id") || 0) || null,
+      status,
+      kind: safeStr(searchParams.get("kind")) || null,
+      cursor: cursor ? Number(cursor) : null,
+      limit: Math.min(Math.max(Number(searchParams.get("limit")) || 50, 1), 200),
+    });
+    return json({ ok: true, transport: emailTransport(env).name, ...result });
+  }
+
+  // --- Retry every email that's due now (the cron does this every few minutes)
+  if (pathname === "/api/emails/run" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    return json({ ok: true, ...(await retryEmails(env)) });
+  }
+
+  // --- One email with its bodies / send it again now
+  {
+    const m = pathname.match(/^\/api\/emails\/(\d+)(\/retry)?$/);
+    if (m && ((!m[2] && request.method === "GET") || (m[2] && request.method === "POST"))) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const email = await loadEmail(env, Number(m[1]));
+      if (!email) return bad(404, "Email not found");
+
+      if (!m[2]) {
+        const { attachments_json, ...rest } = email;
+        let attachments = [];
+        try { attachments = JSON.parse(attachments_json || "[]").map((a) => a.filename); } catch {}
+        return json({ ok: true, email: { ...rest, attachments } });
+      }
+
+      if (email.status === "sent") return bad(409, "Email has already been sent", { sent_at: email.sent_at });
+      const result = await attemptEmail(env, email);
+      if (result.busy) return bad(409, result.error);
+      return json({ ok: true, id: email.id, emailed: result.emailed, error: result.error || null, retry_at: result.retryAt || null });
+    }
+  }
+
+  // --- Recurring schedules: list (?customer_id=) / create
+  if (pathname === "/api/schedules" && (request.method === "GET" || request.method === "POST")) {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+
+    if (request.method === "GET") {
+      const customerId = Number(searchParams.get("customer_id") || 0) || null;
+      return json({ ok: true, schedules: await loadSchedules(env, { customerId }) });
+    }
+
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    const { schedule, errors } = readScheduleBody(body);
+    if (!errors.length) errors.push(...(await resolveScheduleRefs(env, schedule, body)));
+    if (errors.length) return bad(422, "Invalid schedule", { errors });
+
+    const now = nowIso();
+    const ins = await env.emm_invoices
+      .prepare(
+        `INSERT INTO schedules (customer_id, catalog_item_id, profile_id, weekday, time, block_weeks, starts_on, ends_on, skip_dates,
+                                auto_send, lead_days, active, next_start, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .bind(
+        schedule.customer_id, schedule.catalog_item_id, schedule.profile_id, schedule.weekday, schedule.time, schedule.block_weeks,
+        schedule.starts_on, schedule.ends_on, JSON.stringify(schedule.skip_dates), schedule.auto_send,
+        schedule.lead_days, schedule.active, alignToWeekday(schedule.starts_on, schedule.weekday), now, now
+      )
+      .run();
+
+    const [saved] = await loadSchedules(env, { id: ins.meta?.last_row_id });
+    return json({ ok: true, schedule: saved });
+  }
+
+  // --- Run recurring schedules now (?dry_run=1 lists the blocks that are due)
+  if (pathname === "/api/schedules/run" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const dryRun = searchParams.get("dry_run") === "1";
+    const today = safeStr(searchParams.get("today")).slice(0, 10) || undefined;
+    if (today && !/^\d{4}-\d{2}-\d{2}$/.test(today)) return bad(400, "today must be YYYY-MM-DD");
+
+    const result = await runSchedules(env, { dryRun, today });
+    return json({ ok: true, dry_run: dryRun, ...result });
+  }
+
+  // --- Recurring schedule: get (with the blocks billed so far) / update / delete
+  {
+    const m = pathname.match(/^\/api\/schedules\/(\d+)$/);
+    if (m && ["GET", "PUT", "DELETE"].includes(request.method)) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const current = await env.emm_invoices.prepare("SELECT * FROM schedules WHERE id = ?").bind(id).first();
+      if (!current) return bad(404, "Schedule not found");
+
+      if (request.method === "GET") {
+        const [schedule] = await loadSchedules(env, { id });
+        const blocks = await env.emm_invoices
+          .prepare(
+            `SELECT b.block_start, b.invoice_id, b.created_at, i.invoice_no, i.total, i.emailed_invoice_at
+             FROM schedule_blocks b
+             LEFT JOIN invoices i ON i.id = b.invoice_id
+             WHERE b.schedule_id = ?
+             ORDER BY b.block_start DESC`
+          )
+          .bind(id)
+          .all();
+        return json({ ok: true, schedule, blocks: blocks.results || [] });
+      }
+
+      if (request.method === "DELETE") {
+        // Invoices already made from it are left alone
+        await env.emm_invoices.batch([
+          env.emm_invoices.prepare("DELETE FROM schedules WHERE id = ?").bind(id),
+          env.emm_invoices.prepare("DELETE FROM schedule_blocks WHERE schedule_id = ?").bind(id),
+        ]);
+        return json({ ok: true, id });
+      }
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const { schedule, errors } = readScheduleBody(body, current);
+      if (body.next_start !== undefined && !ymdOrNull(body.next_start)) {
+        errors.push({ field: "next_start", error: "must be YYYY-MM-DD" });
+      }
+      if (!errors.length) errors.push(...(await resolveScheduleRefs(env, schedule, body)));
+      if (errors.length) return bad(422, "Invalid schedule", { errors });
+
+      // Moving the start or the weekday moves the next block with it
+      let nextStart = current.next_start;
+      if (body.next_start !== undefined) nextStart = alignToWeekday(ymdOrNull(body.next_start), schedule.weekday);
+      else if (body.starts_on !== undefined) nextStart = alignToWeekday(schedule.starts_on, schedule.weekday);
+      else if (body.weekday !== undefined && nextStart) nextStart = alignToWeekday(nextStart, schedule.weekday);
+
+      await env.emm_invoices
+        .prepare(
+          `UPDATE schedules
+           SET customer_id = ?, catalog_item_id = ?, profile_id = ?, weekday = ?, time = ?, block_weeks = ?, starts_on = ?,
+               ends_on = ?, skip_dates = ?, auto_send = ?, lead_days = ?, active = ?, next_start = ?, updated_at = ?
+           WHERE id = ?`
+        )
+        .bind(
+          schedule.customer_id, schedule.catalog_item_id, schedule.profile_id, schedule.weekday, schedule.time, schedule.block_weeks,
+          schedule.starts_on, schedule.ends_on, JSON.stringify(schedule.skip_dates), schedule.auto_send,
+          schedule.lead_days, schedule.active, nextStart, nowIso(), id
+        )
+        .run();
+
+      const [saved] = await loadSchedules(env, { id });
+      return json({ ok: true, schedule: saved });
+    }
+  }
+
+  // --- Payments ledger: list / record (emails a receipt for that payment)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/payments$/);
+    if (m && (request.method === "GET" || request.method === "POST")) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const invoice = await env.emm_invoices
+        .prepare("SELECT id, total, voided_at FROM invoices WHERE id = ?")
+        .bind(id)
+        .first();
+      if (!invoice) return bad(404, "Invoice not found");
+
+      if (request.method === "GET") {
+        const payments = await loadPayments(env, id);
+        const adjustments = invoiceAdjustments(invoice, await loadCreditNotes(env, id));
+        return json({ ok: true, id, total: invoice.total, ...paymentSummary(invoice.total, payments, adjustments), payments });
+      }
+      if (invoice.voided_at) return bad(409, "Invoice is void");
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const amount = round2(body.amount);
+      if (!Number.isFinite(amount) || amount <= 0) return bad(400, "amount must be a positive number");
+
+      const kind = safeStr(body.kind) || "payment";
+      if (!PAYMENT_KINDS.has(kind)) return bad(400, "kind must be 'payment' or 'deposit'");
+
+      const { payment, summary } = await recordPayment(env, id, {
+        amount,
+        kind,
+        paidAt: safeStr(body.paid_at) || nowIso(),
+        method: safeStr(body.method || body.paid_method) || "Bank Transfer",
+        ref: safeStr(body.ref || body.paid_ref) || null,
+      });
+
+      let emailed = false;
+      let emailError = null;
+      let emailRetryAt = null;
+      if (body.email !== false) {
+        try {
+          const result = await emailPaymentReceipt(env, id, payment.id);
+          emailed = result.emailed;
+          emailError = result.error;
+          emailRetryAt = result.retryAt || null;
+        } catch (e) {
+          emailError = String(e?.message || e);
+        }
+      }
+
+      return json({ ok: true, id, payment, ...summary, emailed, emailError, emailRetryAt });
+    }
+  }
+
+  // --- Payments ledger: delete one payment
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/payments\/(\d+)$/);
+    if (m && request.method === "DELETE") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const paymentId = Number(m[2]);
+      const body = (await readJson(request)) || {};
+
+      const refund = await env.emm_invoices
+        .prepare("SELECT id FROM payments WHERE id = ? AND invoice_id = ? AND kind = 'refund'")
+        .bind(paymentId, id)
+        .first();
+      if (refund) return bad(409, "Refunds belong to their credit note and can't be deleted");
+
+      // Taking a payment off a settled invoice reopens it, so it needs a reason like any other change
+      const invoice = await env.emm_invoices.prepare("SELECT state FROM invoices WHERE id = ?").bind(id).first();
+      if (!invoice) return bad(404, "Invoice not found");
+      const unlockReason = safeStr(body.unlock_reason) || null;
+      if (LOCKED_STATES.has(invoice.state) && !unlockReason) return lockedError(invoice.state, { id, payment_id: paymentId });
+      await ensureBaselineRevision(env, id);
+
+      const del = await env.emm_invoices
+        .prepare("DELETE FROM payments WHERE id = ? AND invoice_id = ?")
+        .bind(paymentId, id)
+        .run();
+      if (!del.meta?.changes) return bad(404, "Payment not found");
+
+      const summary = await syncInvoicePayments(env, id);
+      const rev = await recordInvoiceRevision(env, id, { source: "payment_deleted", actor: authActor(auth), unlockReason });
+      return json({ ok: true, id, deleted: paymentId, rev, ...summary });
+    }
+  }
+
+  // --- Mark paid: records a payment for whatever is outstanding (auto emails receipt)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/mark-paid$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const body = (await readJson(request)) || {};
+
+      const invoice = await env.emm_invoices
+        .prepare("SELECT id, total, voided_at FROM invoices WHERE id = ?")
+        .bind(id)
+        .first();
+      if (!invoice) return bad(404, "Invoice not found");
+      if (invoice.voided_at) return bad(409, "Invoice is void");
+
+      const adjustments = invoiceAdjustments(invoice, await loadCreditNotes(env, id));
+      const before = paymentSummary(invoice.total, await loadPayments(env, id), adjustments);
+      if (before.balance <= 0) {
+        return bad(409, "Invoice is already paid in full", { ...before });
+      }
+      // expect_balance is what the sender saw as owing, e.g. when marked paid offline
+      if (body.expect_balance !== undefined && body.expect_balance !== null && moneyDiffers(before.balance, body.expect_balance)) {
+        return bad(409, `Balance is now ${gbp(before.balance)}, not ${gbp(body.expect_balance)}`, { conflict: true, ...before });
+      }
+
+      const { payment, summary } = await recordPayment(env, id, {
+        amount: before.balance,
+        paidAt: safeStr(body.paid_at) || nowIso(),
+        method: safeStr(body.paid_method) || "Bank Transfer",
+        ref: safeStr(body.paid_ref) || null,
+      });
+
+      // Auto email receipt (if configured)
+      let emailed = false;
+      let emailError = null;
+      let emailRetryAt = null;
 
       try {
-        const result = await sendReceiptEmail({ env, invoiceId: id, receiptNo });
+        const result = await emailPaymentReceipt(env, id, payment.id);
         emailed = result.emailed;
         emailError = result.error;
-
-        if (emailed) {
-          await env.emm_invoices
-            .prepare("UPDATE invoices SET emailed_receipt_at = ? WHERE id = ?")
-            .bind(nowIso(), id)
-            .run();
-        }
+        emailRetryAt = result.retryAt || null;
       } catch (e) {
         emailed = false;
         emailError = String(e?.message || e);
       }
 
-      return json({ ok: true, id, receipt_no: receiptNo, emailed, emailError });
+      return json({ ok: true, id, receipt_no: payment.receipt_no, payment, ...summary, emailed, emailError, emailRetryAt });
+    }
+  }
+
+  // --- Mark unpaid: retired. It deleted payments outright, leaving no trace of the
+  // refund; money going back is now a credit note, and a cancelled invoice is voided.
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/mark-unpaid$/);
+    if (m && request.method === "POST") {
+      return bad(410, "Mark unpaid has been removed: refund with a credit note, or void the invoice", {
+        credit_notes: `/api/invoices/${m[1]}/credit-notes`,
+        void: `/api/invoices/${m[1]}/void`,
+      });
+    }
+  }
+
+  // --- Credit notes: list / issue ({ amount?, reason, refund_method?, refund_amount?, refund_ref?, refunded_at? };
+  // amount defaults to whatever hasn't been credited yet, refund_amount to as much of it as has been paid)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/credit-notes$/);
+    if (m && (request.method === "GET" || request.method === "POST")) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const invoice = await env.emm_invoices
+        .prepare("SELECT id, total, voided_at FROM invoices WHERE id = ?")
+        .bind(id)
+        .first();
+      if (!invoice) return bad(404, "Invoice not found");
+
+      const creditNotes = await loadCreditNotes(env, id);
+      const summary = paymentSummary(invoice.total, await loadPayments(env, id), invoiceAdjustments(invoice, creditNotes));
+      if (request.method === "GET") {
+        return json({ ok: true, id, total: invoice.total, ...summary, credit_notes: creditNotes });
+      }
+      if (invoice.voided_at) return bad(409, "Invoice is void");
+
+      const body = await readJson(request);
+      if (!body) return bad(400, "Invalid JSON");
+
+      const { creditNote: planned, status, error } = readCreditNoteBody(body, { total: invoice.total, summary });
+      if (error) return bad(status || 400, error, { ...summary });
+
+      const { creditNote, summary: after } = await issueCreditNote(env, id, planned);
+
+      let emailed = false;
+      let emailError = null;
+      let emailRetryAt = null;
+      if (body.email !== false) {
+        try {
+          const result = await emailCreditNote(env, id, creditNote.id);
+          emailed = result.emailed;
+          emailError = result.error;
+          emailRetryAt = result.retryAt || null;
+        } catch (e) {
+          emailError = String(e?.message || e);
+        }
+      }
+
+      return json({ ok: true, id, credit_note: creditNote, ...after, emailed, emailError, emailRetryAt });
+    }
+  }
+
+  // --- Credit note: get (?format=html|text, JSON otherwise) / email it again
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/credit-notes\/(\d+)(\/email)?$/);
+    if (m && ((!m[3] && request.method === "GET") || (m[3] && request.method === "POST"))) {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const creditNoteId = Number(m[2]);
+
+      if (m[3]) {
+        const result = await emailCreditNote(env, id, creditNoteId);
+        if (result.notFound) return bad(404, result.error);
+        return json({ ok: true, id, credit_note_id: creditNoteId, emailed: result.emailed, error: result.error || null, retry_at: result.retryAt || null });
+      }
+
+      const { creditNote, data, error } = await loadCreditNoteData(env, id, creditNoteId);
+      if (error) return bad(404, error);
+
+      const format = safeStr(searchParams.get("format")).toLowerCase();
+      if (format === "html") return new Response(renderCreditNoteHtml(data), { headers: { "content-type": "text/html; charset=utf-8" } });
+      if (format === "text") return new Response(renderCreditNoteText(data), { headers: { "content-type": "text/plain; charset=utf-8" } });
+      return json({ ok: true, id, credit_note: creditNote, data });
+    }
+  }
+
+  // --- Void: { reason } required. Anything paid must be refunded on a credit note first.
+  // The customer gets a notice if they were sent the invoice (unless email: false).
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/void$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const body = (await readJson(request)) || {};
+
+      const reason = safeStr(body.reason);
+      if (!reason) return bad(400, "reason is required");
+
+      const invoice = await env.emm_invoices
+        .prepare("SELECT id, total, voided_at, emailed_invoice_at FROM invoices WHERE id = ?")
+        .bind(id)
+        .first();
+      if (!invoice) return bad(404, "Invoice not found");
+      if (invoice.voided_at) return bad(409, "Invoice is already void", { voided_at: invoice.voided_at });
+
+      const before = paymentSummary(invoice.total, await loadPayments(env, id));
+      if (before.amount_paid > 0) {
+        return bad(409, `${gbp(before.amount_paid)} has been paid on this invoice; refund it with a credit note before voiding`, {
+          amount_paid: before.amount_paid,
+        });
+      }
+
+      const voidedAt = nowIso();
+      await env.emm_invoices
+        .prepare("UPDATE invoices SET voided_at = ?, void_reason = ? WHERE id = ?")
+        .bind(voidedAt, reason, id)
+        .run();
+      const summary = await syncInvoicePayments(env, id);
+
+      let emailed = false;
+      let emailError = null;
+      let emailRetryAt = null;
+      if (invoice.emailed_invoice_at && body.email !== false) {
+        try {
+          const result = await sendVoidNoticeEmail({ env, invoiceId: id });
+          emailed = result.emailed;
+          emailError = result.error;
+          emailRetryAt = result.retryAt || null;
+        } catch (e) {
+          emailError = String(e?.message || e);
+        }
+      }
+
+      return json({ ok: true, id, voided_at: voidedAt, void_reason: reason, ...summary, emailed, emailError, emailRetryAt });
+    }
+  }
+
+  // --- Mark sent (handed over or sent some way other than email-invoice)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/mark-sent$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const invoice = await env.emm_invoices.prepare("SELECT id, state, sent_at FROM invoices WHERE id = ?").bind(id).first();
+      if (!invoice) return bad(404, "Invoice not found");
+      if (invoice.state === "void") return bad(409, "Invoice is void");
+
+      const sentAt = invoice.sent_at || (await markInvoiceSent(env, id));
+      const { state } = await env.emm_invoices.prepare("SELECT state FROM invoices WHERE id = ?").bind(id).first();
+      return json({ ok: true, id, state, sent_at: sentAt });
+    }
+  }
+
+  // --- Email the invoice itself
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/email-invoice$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const result = await sendInvoiceEmail({ env, invoiceId: id });
+      if (result.notFound) return bad(404, "Invoice not found");
+
+      return json({
+        ok: true,
+        id,
+        emailed: result.emailed,
+        emailed_invoice_at: result.sentAt || null,
+        error: result.error || null,
+        retry_at: result.retryAt || null,
+      });
+    }
+  }
+
+  // --- Manual resend receipt (latest payment, or ?payment_id=)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/email-receipt$/);
+    if (m && request.method === "POST") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+      const paymentId = Number(searchParams.get("payment_id") || 0) || null;
+
+      const result = await emailPaymentReceipt(env, id, paymentId);
+
+      return json({
+        ok: true,
+        id,
+        receipt_no: result.receiptNo || null,
+        emailed: result.emailed,
+        error: result.error || null,
+        retry_at: result.retryAt || null,
+      });
+    }
+  }
+
+  // --- PDF downloads (invoice, and receipt for the latest payment or ?payment_id=)
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/(invoice|receipt)\.pdf$/);
+    if (m && request.method === "GET") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      if (m[2] === "invoice") {
+        const { row, data } = await loadInvoiceData(env, id);
+        if (!row) return bad(404, "Invoice not found");
+        return pdfResponse(renderInvoicePdf(data), pdfFilename("INVOICE", data.invoiceNo, data.customerName));
+      }
+
+      const paymentId = Number(searchParams.get("payment_id") || 0) || null;
+      const { row, data, error } = await loadReceiptData(env, id, paymentId);
+      if (!row) return bad(404, "Invoice not found");
+      if (error) return bad(409, error);
+      return pdfResponse(renderReceiptPdf(data), pdfFilename("RECEIPT", data.receiptNo, data.customerName));
+    }
+  }
+
+  // --- Exports (invoice CSV takes filters and ?profile=raw|xero|quickbooks)
+  if (pathname.startsWith("/api/export/") && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    if (pathname === "/api/export/invoices.csv") return exportInvoicesCsv(env, searchParams);
+    if (pathname === "/api/export/customers.csv") return exportTableCsv(env, "customers");
+    if (pathname === "/api/export/backup.json") return exportBackupJson(env);
+  }
+
+  // --- Reports (summary: ?from=&to=&programme=; aged-debtors: ?as_of=)
+  if (pathname.startsWith("/api/reports/") && request.method === "GET") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const { filters, errors } = reportFilters(searchParams);
+    if (errors.length) return bad(400, "Invalid report filters", { errors });
+
+    if (pathname === "/api/reports/summary") return json({ ok: true, ...(await revenueSummary(env, filters)) });
+    if (pathname === "/api/reports/aged-debtors") return json({ ok: true, ...(await agedDebtors(env, filters)) });
+  }
+
+  // --- Restore a backup.json (?dry_run=1 reports without changing anything)
+  if (pathname === "/api/import/backup" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    const body = await readJson(request);
+    if (!body) return bad(400, "Invalid JSON");
+
+    // Either the backup itself, or { backup, strategy, dry_run, customer_map, unlock_reason, replace_receipts }
+    const backup = body.backup ?? body;
+    const strategy = safeStr(searchParams.get("strategy") || body.strategy) || "skip";
+    const dryRun = searchParams.get("dry_run") === "1" || body.dry_run === true;
+    const customerMap = body.customer_map && typeof body.customer_map === "object" ? body.customer_map : {};
+    const unlockReason = safeStr(body.unlock_reason) || null;
+
+    if (!RESTORE_STRATEGIES.has(strategy)) return bad(400, "strategy must be 'skip', 'overwrite' or 'rename'");
+    const errors = validateBackup(backup);
+    if (errors.length) return bad(422, "Backup file is invalid", { errors });
+
+    const { statements, report } = await planRestore(env, backup, {
+      strategy,
+      customerMap,
+      unlockReason,
+      replaceReceipts: body.replace_receipts === true,
+      actor: authActor(auth),
+    });
+
+    if (!dryRun && statements.length) {
+      try {
+        await env.emm_invoices.batch(statements);
+      } catch (e) {
+        return bad(500, `Restore failed; nothing was changed: ${String(e?.message || e)}`, { ...report, strategy });
+      }
+    }
+
+    return json({ ok: true, dry_run: dryRun, applied: !dryRun, strategy, ...report });
+  }
+
+  // --- Stripe webhook (raw body needed for the signature)
+  if (pathname === "/api/webhooks/stripe" && request.method === "POST") {
+    if (!env.emm_invoices) return bad(500, "DB not configured");
+    if (!env.STRIPE_WEBHOOK_SECRET) return bad(500, "Stripe webhook not configured (missing STRIPE_WEBHOOK_SECRET)");
+
+    const payload = await request.text();
+    const signed = await verifyStripeSignature(env.STRIPE_WEBHOOK_SECRET, request.headers.get("Stripe-Signature"), payload);
+    if (!signed) return bad(400, "Invalid Stripe signature");
+
+    let event;
+    try { event = JSON.parse(payload); } catch { return bad(400, "Invalid JSON"); }
+    if (!event?.id || !event?.type) return bad(400, "Not a Stripe event");
+
+    // Claim the event id first; a repeat delivery stops here
+    const claim = await env.emm_invoices
+      .prepare("INSERT OR IGNORE INTO stripe_events (id, type, received_at) VALUES (?, ?, ?)")
+      .bind(event.id, event.type, nowIso())
+      .run();
+    if (!claim.meta?.changes) return json({ ok: true, id: event.id, duplicate: true });
+
+    let result;
+    try {
+      result = await applyStripeEvent(env, event);
+    } catch (e) {
+      // Release the claim so Stripe's retry gets another go
+      await env.emm_invoices.prepare("DELETE FROM stripe_events WHERE id = ?").bind(event.id).run();
+      return bad(500, `Failed to record Stripe event: ${String(e?.message || e)}`);
+    }
+
+    await env.emm_invoices
+      .prepare("UPDATE stripe_events SET status = ?, invoice_id = ?, payment_id = ?, note = ? WHERE id = ?")
+      .bind(result.status, result.invoiceId ?? null, result.paymentId ?? null, result.note ?? null, event.id)
+      .run();
+
+    if (result.status === "recorded") {
+      ctx.waitUntil(emailPaymentReceipt(env, result.invoiceId, result.paymentId).catch(() => {}));
     }
+
+    return json({
+      ok: true,
+      id: event.id,
+      status: result.status,
+      invoice_id: result.invoiceId ?? null,
+      payment_id: result.paymentId ?? null,
+      note: result.note ?? null,
+    });
   }
 
-  // --- Mark unpaid
+  // --- Customer share links (mint, list, revoke)
   {
-    const m = pathname.match(/^\/api\/invoices\/(\d+)\/mark-unpaid$/);
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/share-link$/);
     if (m && request.method === "POST") {
       if (!env.emm_invoices) return bad(500, "DB not configured");
+      if (!env.SHARE_LINK_SECRET) return bad(500, "Share links not configured (missing SHARE_LINK_SECRET)");
       const id = Number(m[1]);
+      const body = (await readJson(request)) || {};
 
-      await env.emm_invoices
-        .prepare(
-          `UPDATE invoices
-           SET paid_at = NULL, paid_method = NULL, paid_ref = NULL
-           WHERE id = ?`
-        )
-        .bind(id)
+      const days = body.days === undefined ? DEFAULT_SHARE_LINK_DAYS : Number(body.days);
+      if (!Number.isFinite(days) || days <= 0 || days > 365) return bad(400, "days must be between 1 and 365");
+
+      const invoice = await env.emm_invoices.prepare("SELECT id FROM invoices WHERE id = ?").bind(id).first();
+      if (!invoice) return bad(404, "Invoice not found");
+
+      const link = await createShareLink(env, id, days);
+      return json({ ok: true, id, link_id: link.id, expires_at: link.expires_at, url: `${url.origin}/i/${link.token}` });
+    }
+  }
+
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/share-links$/);
+    if (m && request.method === "GET") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      if (!env.SHARE_LINK_SECRET) return bad(500, "Share links not configured (missing SHARE_LINK_SECRET)");
+      const id = Number(m[1]);
+      return json({ ok: true, id, links: await listShareLinks(env, id, url.origin) });
+    }
+  }
+
+  {
+    const m = pathname.match(/^\/api\/invoices\/(\d+)\/share-links\/([\w-]+)$/);
+    if (m && request.method === "DELETE") {
+      if (!env.emm_invoices) return bad(500, "DB not configured");
+      const id = Number(m[1]);
+
+      const res = await env.emm_invoices
+        .prepare("UPDATE share_links SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ? AND invoice_id = ?")
+        .bind(nowIso(), m[2], id)
         .run();
+      if (!res.meta?.changes) return bad(404, "Share link not found");
+
+      return json({ ok: true, id, link_id: m[2], revoked: true });
+    }
+  }
+
+  return bad(404, "Not found");
+}
+
+// Public /i/:token page plus its PDFs. Everything is rendered server-side from
+// the one invoice the token was signed for; nothing here goes through /api/.
+async function handleSharePage(request, env, url) {
+  const m = url.pathname.match(/^\/i\/([\w.-]+?)(?:\/(invoice|receipt)\.pdf)?\/?$/);
+  if (!m) return sharePageResponse(renderSharePageHtml({ error: "This link isn’t valid." }), 404);
+  if (request.method !== "GET" && request.method !== "HEAD") return new Response("Method not allowed", { status: 405 });
+  if (!env.emm_invoices || !env.SHARE_LINK_SECRET) {
+    return sharePageResponse(renderSharePageHtml({ error: "Invoice links aren’t available right now." }), 503);
+  }
+  try {
+    await ensureSchema(env);
+  } catch {
+    return sharePageResponse(renderSharePageHtml({ error: "Invoice links aren’t available right now." }), 503);
+  }
+
+  const link = await verifyShareToken(env, m[1]);
+  if (!link) {
+    return sharePageResponse(renderSharePageHtml({ error: "This link has expired or is no longer available. Please ask us for a new one." }), 404);
+  }
+
+  const { row, data: invoice } = await loadInvoiceData(env, link.invoice_id);
+  if (!row) return sharePageResponse(renderSharePageHtml({ error: "This invoice is no longer available." }), 404);
+  const receipt = await loadReceiptData(env, link.invoice_id);
+
+  if (m[2] === "invoice") {
+    return pdfResponse(renderInvoicePdf(invoice), pdfFilename("INVOICE", invoice.invoiceNo, invoice.customerName));
+  }
+  if (m[2] === "receipt") {
+    if (receipt.error) return sharePageResponse(renderSharePageHtml({ error: "No payments have been recorded yet." }), 404);
+    return pdfResponse(renderReceiptPdf(receipt.data), pdfFilename("RECEIPT", receipt.data.receiptNo, receipt.data.customerName));
+  }
+
+  if (request.method === "GET") await recordShareView(env, link);
+
+  return sharePageResponse(
+    renderSharePageHtml({
+      invoice,
+      receipt: receipt.error ? null : receipt.data,
+      base: `/i/${m[1]}`,
+    })
+  );
+}
+
+function sharePageResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      "content-type": "text/html; charset=utf-8",
+      "cache-control": "no-store",
+      "referrer-policy": "no-referrer",
+      "x-robots-tag": "noindex, nofollow",
+    },
+  });
+}
+
+// Everything the receipt renderers need for one payment (the latest if none given).
+async function loadReceiptData(env, invoiceId, paymentId = null) {
+  const row = await env.emm_invoices
+    .prepare(
+      `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE i.id = ?`
+    )
+    .bind(invoiceId)
+    .first();
+
+  if (!row) return { error: "Invoice not found" };
+
+  const allPayments = await loadPayments(env, invoiceId);
+  const payment = paymentId
+    ? allPayments.find((p) => p.id === paymentId)
+    : latestReceiptable(allPayments);
+  if (!payment) return { row, error: "No payments recorded yet (mark the invoice paid first)" };
+  if (payment.kind === "refund") return { row, error: "That's a refund; its credit note is the record of it" };
+
+  let storedItems = [];
+  try { storedItems = JSON.parse(row.items_json || "[]"); } catch {}
+
+  // Render from recomputed figures so the receipt always adds up, even for old rows
+  const { items, totals } = computeInvoiceTotals({
+    items: storedItems,
+    travel_fee: row.travel_fee,
+    deposit_amount: row.deposit_amount,
+    programme: row.programme,
+  });
+
+  // History as it stood when this payment was taken
+  const payments = allPayments.slice(0, allPayments.indexOf(payment) + 1);
+  const creditNotes = (await loadCreditNotes(env, invoiceId)).filter((cn) => cn.issued_at <= payment.paid_at);
+  const summary = paymentSummary(totals.total, payments, invoiceAdjustments({}, creditNotes));
+
+  return {
+    row,
+    payment,
+    data: {
+      receiptNo: payment.receipt_no,
+      invoiceNo: row.invoice_no,
+      dueDate: row.due_date,
+      paidAt: payment.paid_at,
+      paidMethod: payment.method,
+      paidRef: payment.ref,
+      paymentAmount: Number(payment.amount || 0),
+      customerName: row.customer_name,
+      customerEmail: row.customer_email,
+      customerAddress: row.customer_address,
+      items,
+      travelFee: totals.travel_fee,
+      total: totals.total,
+      payments,
+      depositPaid: round2(payments.filter((p) => p.kind === "deposit").reduce((sum, p) => sum + Number(p.amount || 0), 0)),
+      credited: summary.credited,
+      amountPaid: summary.amount_paid,
+      balance: summary.balance,
+      paymentStatus: summary.payment_status,
+      programme: row.programme,
+      business: businessDetails(env, await loadBusinessProfile(env, row.profile_id)),
+    },
+  };
+}
+
+async function sendReceiptEmail({ env, invoiceId, paymentId = null }) {
+  const { row, payment, data, error } = await loadReceiptData(env, invoiceId, paymentId);
+  if (error) return { emailed: false, error };
+  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+
+  const { subject, html, text } = await composeEmail(env, "receipt", data);
+  const attachments = [
+    {
+      filename: pdfFilename("RECEIPT", data.receiptNo, data.customerName),
+      content: btoa(renderReceiptPdf(data)),
+    },
+  ];
+
+  const sent = await sendEmail(env, { to: row.customer_email, replyTo: data.business.email, subject, html, text, attachments }, {
+    kind: "receipt",
+    invoiceId,
+    customerId: row.customer_id,
+    paymentId: payment.id,
+  });
+  return { ...sent, paymentId: payment.id, receiptNo: payment.receipt_no };
+}
+
+// Everything the invoice renderers need, with figures recomputed and the ledger applied.
+async function loadInvoiceData(env, invoiceId) {
+  const row = await env.emm_invoices
+    .prepare(
+      `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE i.id = ?`
+    )
+    .bind(invoiceId)
+    .first();
+
+  if (!row) return { error: "Invoice not found" };
+
+  let storedItems = [];
+  try { storedItems = JSON.parse(row.items_json || "[]"); } catch {}
+
+  const { items, totals } = computeInvoiceTotals({
+    items: storedItems,
+    travel_fee: row.travel_fee,
+    deposit_amount: row.deposit_amount,
+    programme: row.programme,
+  });
+
+  const payments = await loadPayments(env, invoiceId);
+  const creditNotes = await loadCreditNotes(env, invoiceId);
+  const summary = paymentSummary(totals.total, payments, invoiceAdjustments(row, creditNotes));
+  const sumOf = (kind) =>
+    round2(payments.filter((p) => p.kind === kind).reduce((sum, p) => sum + Number(p.amount || 0), 0));
+  const business = businessDetails(env, await loadBusinessProfile(env, row.profile_id));
+
+  return {
+    row,
+    data: {
+      invoiceNo: row.invoice_no,
+      issuedAt: row.issued_at,
+      dueDate: row.due_date,
+      customerName: row.customer_name,
+      customerEmail: row.customer_email,
+      customerAddress: row.customer_address,
+      items,
+      subtotal: totals.subtotal,
+      travelFee: totals.travel_fee,
+      total: totals.total,
+      depositPaid: sumOf("deposit"),
+      paymentsReceived: sumOf("payment"),
+      amountPaid: summary.amount_paid,
+      credited: summary.credited,
+      refunded: -sumOf("refund"),
+      creditNotes,
+      balance: summary.balance,
+      paymentStatus: summary.payment_status,
+      voidedAt: row.voided_at || null,
+      voidReason: row.void_reason || null,
+      notes: row.notes,
+      paymentInstructions: business.paymentInstructions,
+      programme: row.programme,
+      business,
+    },
+  };
+}
+
+const DEFAULT_PAYMENT_INSTRUCTIONS = "Please pay by bank transfer, quoting the invoice number as the reference.";
+
+async function sendInvoiceEmail({ env, invoiceId }) {
+  const { row, data, error } = await loadInvoiceData(env, invoiceId);
+  if (error) return { emailed: false, error, notFound: true };
+  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+
+  const { subject, html, text } = await composeEmail(env, "invoice", data);
+  return sendEmail(
+    env,
+    { to: row.customer_email, replyTo: data.business.email, subject, html, text },
+    { kind: "invoice", invoiceId, customerId: row.customer_id }
+  );
+}
+
+// A credit note with its invoice, and where the invoice stood once it was issued.
+async function loadCreditNoteData(env, invoiceId, creditNoteId) {
+  const row = await env.emm_invoices
+    .prepare(
+      `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE i.id = ?`
+    )
+    .bind(invoiceId)
+    .first();
+  if (!row) return { error: "Invoice not found" };
+
+  const creditNotes = await loadCreditNotes(env, invoiceId);
+  const creditNote = creditNotes.find((cn) => cn.id === creditNoteId);
+  if (!creditNote) return { row, error: "Credit note not found" };
+
+  const payments = (await loadPayments(env, invoiceId)).filter((p) => !p.created_at || p.created_at <= creditNote.created_at);
+  const issuedSoFar = creditNotes.slice(0, creditNotes.indexOf(creditNote) + 1);
+  const summary = paymentSummary(row.total, payments, invoiceAdjustments({}, issuedSoFar));
+
+  return {
+    row,
+    creditNote,
+    data: {
+      creditNo: creditNote.credit_no,
+      invoiceNo: row.invoice_no,
+      invoiceDate: row.issued_at,
+      issuedAt: creditNote.issued_at,
+      reason: creditNote.reason,
+      amount: Number(creditNote.amount || 0),
+      refundAmount: Number(creditNote.refund_amount || 0),
+      refundMethod: creditNote.refund_method,
+      refundRef: creditNote.refund_ref,
+      refundedAt: creditNote.refunded_at,
+      customerName: row.customer_name,
+      customerEmail: row.customer_email,
+      customerAddress: row.customer_address,
+      invoiceTotal: Number(row.total || 0),
+      credited: summary.credited,
+      amountPaid: summary.amount_paid,
+      balance: summary.balance,
+      business: businessDetails(env, await loadBusinessProfile(env, row.profile_id)),
+    },
+  };
+}
+
+async function sendCreditNoteEmail({ env, invoiceId, creditNoteId }) {
+  const { row, data, error } = await loadCreditNoteData(env, invoiceId, creditNoteId);
+  if (error) return { emailed: false, error, notFound: true };
+  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+
+  const subject =
+    data.refundAmount > 0
+      ? `Credit note — ${data.creditNo} — ${gbp(data.refundAmount)} refunded`
+      : `Credit note — ${data.creditNo} — ${row.invoice_no}`;
+
+  return sendEmail(
+    env,
+    { to: row.customer_email, replyTo: data.business.email, subject, html: renderCreditNoteHtml(data), text: renderCreditNoteText(data) },
+    { kind: "credit_note", invoiceId, customerId: row.customer_id, creditNoteId }
+  );
+}
+
+async function sendVoidNoticeEmail({ env, invoiceId }) {
+  const { row, data, error } = await loadInvoiceData(env, invoiceId);
+  if (error) return { emailed: false, error, notFound: true };
+  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+
+  return sendEmail(
+    env,
+    {
+      to: row.customer_email,
+      replyTo: data.business.email,
+      subject: `Invoice cancelled — ${row.invoice_no}`,
+      html: renderVoidNoticeHtml(data),
+      text: renderVoidNoticeText(data),
+    },
+    { kind: "void_notice", invoiceId, customerId: row.customer_id }
+  );
+}
+
+// Overdue bands for a statement's aged balance, by days past the due date
+// (or the issue date when an invoice has none).
+const STATEMENT_AGING = [
+  { key: "current", label: "Not yet due", maxDays: 0 },
+  { key: "days_1_30", label: "1–30 days overdue", maxDays: 30 },
+  { key: "days_31_60", label: "31–60 days overdue", maxDays: 60 },
+  { key: "days_61_90", label: "61–90 days overdue", maxDays: 90 },
+  { key: "days_over_90", label: "Over 90 days overdue", maxDays: Infinity },
+];
+
+// Order of a statement's entries within a day
+const STATEMENT_ORDER = ["invoice", "deposit", "payment", "credit_note", "refund", "void"];
+
+// Every invoice and refund (debits), and payment, credit note and void
+// (credits) for a customer dated between from and to (YYYY-MM-DD, both
+// optional and inclusive), with a running
+// balance that opens with whatever was owed before `from`, and the amount
+// still owed at `to` broken down by how overdue it is. It goes out under
+// profileId, else the profile of the customer's latest invoice.
+async function loadStatementData(env, customerId, { from = null, to = null, profileId = null } = {}) {
+  const customer = await loadCustomer(env, customerId);
+  if (!customer) return { error: "Customer not found" };
+
+  const [invoiceRows, paymentRows, creditRows] = await Promise.all([
+    env.emm_invoices.prepare("SELECT * FROM invoices WHERE customer_id = ? ORDER BY issued_at, id").bind(customerId).all(),
+    env.emm_invoices
+      .prepare(
+        `SELECT p.* FROM payments p
+         JOIN invoices i ON i.id = p.invoice_id
+         WHERE i.customer_id = ?
+         ORDER BY p.paid_at, p.id`
+      )
+      .bind(customerId)
+      .all(),
+    env.emm_invoices
+      .prepare(
+        `SELECT cn.* FROM credit_notes cn
+         JOIN invoices i ON i.id = cn.invoice_id
+         WHERE i.customer_id = ?
+         ORDER BY cn.issued_at, cn.id`
+      )
+      .bind(customerId)
+      .all(),
+  ]);
+
+  const day = (v) => safeStr(v).slice(0, 10);
+  const asOf = to || nowIso().slice(0, 10);
+
+  const invoices = (invoiceRows.results || []).map((row) => {
+    let storedItems = [];
+    try { storedItems = JSON.parse(row.items_json || "[]"); } catch {}
+    const { totals } = computeInvoiceTotals({
+      items: storedItems,
+      travel_fee: row.travel_fee,
+      deposit_amount: row.deposit_amount,
+      programme: row.programme,
+    });
+    return {
+      id: row.id,
+      invoiceNo: row.invoice_no,
+      date: day(row.issued_at),
+      dueDate: day(row.due_date) || day(row.issued_at),
+      total: totals.total,
+      voidedOn: day(row.voided_at) || null,
+      voidReason: row.void_reason,
+    };
+  });
+  const invoiceNo = new Map(invoices.map((inv) => [inv.id, inv.invoiceNo]));
+  const payments = paymentRows.results || [];
+  const creditNotes = creditRows.results || [];
+  const creditedOn = (invoiceId, date) =>
+    round2(
+      creditNotes
+        .filter((cn) => cn.invoice_id === invoiceId && day(cn.issued_at) <= date)
+        .reduce((sum, cn) => sum + Number(cn.amount || 0), 0)
+    );
+
+  const all = [
+    ...invoices.map((inv) => ({
+      type: "invoice",
+      date: inv.date,
+      reference: inv.invoiceNo,
+      description: inv.dueDate && inv.dueDate !== inv.date ? `Invoice, due ${fmtDate(inv.dueDate)}` : "Invoice",
+      invoice_id: inv.id,
+      debit: inv.total,
+      credit: 0,
+    })),
+    ...payments.map((p) => ({
+      type: p.kind === "deposit" || p.kind === "refund" ? p.kind : "payment",
+      date: day(p.paid_at),
+      reference: p.receipt_no || p.ref || "",
+      description: [`${paymentLabel(p)} for ${invoiceNo.get(p.invoice_id)}`, p.method].filter(Boolean).join(" · "),
+      invoice_id: p.invoice_id,
+      debit: p.amount < 0 ? round2(-p.amount) : 0,
+      credit: p.amount < 0 ? 0 : round2(p.amount),
+    })),
+    ...creditNotes.map((cn) => ({
+      type: "credit_note",
+      date: day(cn.issued_at),
+      reference: cn.credit_no,
+      description: [`Credit note for ${invoiceNo.get(cn.invoice_id)}`, cn.reason].filter(Boolean).join(" · "),
+      invoice_id: cn.invoice_id,
+      debit: 0,
+      credit: round2(cn.amount),
+    })),
+    // A void takes off whatever its credit notes hadn't already
+    ...invoices
+      .filter((inv) => inv.voidedOn)
+      .map((inv) => ({
+        type: "void",
+        date: inv.voidedOn,
+        reference: inv.invoiceNo,
+        description: ["Invoice voided", inv.voidReason].filter(Boolean).join(" · "),
+        invoice_id: inv.id,
+        debit: 0,
+        credit: round2(inv.total - creditedOn(inv.id, inv.voidedOn)),
+      }))
+      .filter((e) => e.credit > 0),
+  ].sort((a, b) => a.date.localeCompare(b.date) || STATEMENT_ORDER.indexOf(a.type) - STATEMENT_ORDER.indexOf(b.type));
+
+  let balance = 0;
+  let openingBalance = 0;
+  const entries = [];
+  for (const e of all) {
+    if (to && e.date > to) continue;
+    balance = round2(balance + e.debit - e.credit);
+    if (from && e.date < from) openingBalance = balance;
+    else entries.push({ ...e, balance });
+  }
+
+  // Aged balance: each invoice's own outstanding amount at `to`
+  const aged = Object.fromEntries(STATEMENT_AGING.map((b) => [b.key, 0]));
+  aged.credit = 0;
+  for (const inv of invoices) {
+    if (inv.date > asOf) continue;
+    const paid = payments
+      .filter((p) => p.invoice_id === inv.id && day(p.paid_at) <= asOf)
+      .reduce((sum, p) => sum + Number(p.amount || 0), 0);
+    const voided = !!inv.voidedOn && inv.voidedOn <= asOf;
+    const owed = round2(amountOwed(inv.total, { credited: creditedOn(inv.id, asOf), voided }) - paid);
+    if (owed < 0) {
+      aged.credit = round2(aged.credit - owed);
+      continue;
+    }
+    const overdue = Math.round((Date.parse(asOf) - Date.parse(inv.dueDate)) / 86400000);
+    const band = STATEMENT_AGING.find((b) => overdue <= b.maxDays);
+    aged[band.key] = round2(aged[band.key] + owed);
+  }
+  aged.total = round2(STATEMENT_AGING.reduce((sum, b) => sum + aged[b.key], 0));
+
+  const latest = (invoiceRows.results || []).at(-1);
+  const business = businessDetails(env, await loadBusinessProfile(env, profileId || latest?.profile_id));
+
+  const sumEntries = (types, field) =>
+    round2(entries.filter((e) => types.includes(e.type)).reduce((sum, e) => sum + e[field], 0));
+
+  return {
+    customer,
+    data: {
+      customerName: customer.name,
+      customerEmail: customer.email,
+      customerAddress: customer.address,
+      from,
+      to,
+      asOf,
+      openingBalance,
+      closingBalance: balance,
+      invoiced: sumEntries(["invoice"], "debit"),
+      credited: sumEntries(["credit_note", "void"], "credit"),
+      received: sumEntries(["payment", "deposit"], "credit"),
+      refunded: sumEntries(["refund"], "debit"),
+      entries,
+      aged,
+      paymentInstructions: business.paymentInstructions,
+      business,
+    },
+  };
+}
+
+async function sendStatementEmail({ env, customerId, from = null, to = null, profileId = null }) {
+  const { customer, data, error } = await loadStatementData(env, customerId, { from, to, profileId });
+  if (error) return { emailed: false, error, notFound: true };
+  if (!customer.email) return { emailed: false, error: "Customer email missing" };
+
+  const { subject, html, text } = await composeEmail(env, "statement", data);
+  return sendEmail(
+    env,
+    { to: customer.email, replyTo: data.business.email, subject, html, text },
+    { kind: "statement", customerId }
+  );
+}
+
+// --- Email templates
+// A stored template replaces the built-in wording of the receipt, invoice,
+// reminder or statement email. It has a subject, an HTML body and a text body;
+// any of them left blank keeps the built-in version, so an email with no
+// template reads exactly as it always has.
+//
+// {{name}} inserts a value, escaped with escapeHtml in the HTML body (line
+// breaks become <br>). Blocks such as {{items}} are ready-made tables: HTML in
+// the HTML body, one line per row in the text body, and not allowed in the
+// subject. {{#name}}…{{/name}} keeps what's inside only when name is set (a
+// yes/no section, or a value that isn't blank), {{^name}}…{{/name}} only when
+// it isn't. Optional amounts are blank when nothing applies, so
+// {{#deposit_paid}}…{{/deposit_paid}} is the deposit block.
+const TEMPLATE_FIELDS = {
+  business_name: { kind: "value", description: "Business name from the invoice's business profile" },
+  business_email: { kind: "value", description: "Business email address" },
+  business_header: { kind: "block", description: "Logo, business name, address and contact details" },
+  customer_name: { kind: "value", description: "Customer's name" },
+  customer_email: { kind: "value", description: "Customer's email address" },
+  payment_instructions: { kind: "value", description: "How to pay, with bank details and terms" },
+  invoice_no: { kind: "value", description: "Invoice number" },
+  issued_date: { kind: "value", description: "Date the invoice was issued" },
+  due_date: { kind: "value", description: "Due date (blank when there isn't one)" },
+  subtotal: { kind: "value", description: "Items before the travel fee" },
+  travel_fee: { kind: "value", description: "Travel fee (blank when there isn't one)" },
+  total: { kind: "value", description: "Invoice total" },
+  deposit_label: { kind: "value", description: "Deposit wording from the business profile" },
+  deposit_paid: { kind: "value", description: "Deposits paid (blank when none)" },
+  credited: { kind: "value", description: "Credit notes (blank when none)" },
+  amount_paid: { kind: "value", description: "Paid so far" },
+  balance: { kind: "value", description: "Balance still due" },
+  overpaid: { kind: "value", description: "Overpayment held as credit (blank when none)" },
+  notes: { kind: "value", description: "Invoice notes" },
+  void_reason: { kind: "value", description: "Why the invoice was cancelled" },
+  receipt_no: { kind: "value", description: "Receipt number" },
+  paid_date: { kind: "value", description: "Date of this payment" },
+  payment_amount: { kind: "value", description: "Amount of this payment" },
+  payment_method: { kind: "value", description: "How this payment was made" },
+  payment_ref: { kind: "value", description: "Payment reference (blank when none)" },
+  stage: { kind: "value", description: 'Where the invoice stands, e.g. "due in 3 days" or "7 days overdue"' },
+  period: { kind: "value", description: 'Statement period, e.g. "01/09/2026 to 30/09/2026"' },
+  statement_date: { kind: "value", description: "Date the statement runs to" },
+  opening_balance: { kind: "value", description: "Balance brought forward (blank without a start date)" },
+  invoiced: { kind: "value", description: "Invoiced in the period" },
+  received: { kind: "value", description: "Payments received in the period" },
+  refunded: { kind: "value", description: "Refunded in the period (blank when none)" },
+  in_credit: { kind: "value", description: "Credit held when the account is overpaid (blank otherwise)" },
+  items: { kind: "block", description: "Item table, with the travel fee" },
+  payment_history: { kind: "block", description: "Payments so far, with this one highlighted" },
+  activity: { kind: "block", description: "Statement lines with a running balance" },
+  aged_balance: { kind: "block", description: "Amount owed by age" },
+  balance_due: { kind: "section", description: "Something is still owed" },
+  paid_in_full: { kind: "section", description: "Nothing is owed" },
+  overdue: { kind: "section", description: "The due date has passed" },
+  void: { kind: "section", description: "The invoice has been cancelled" },
+};
+
+const CUSTOMER_TEMPLATE_FIELDS = ["business_name", "business_email", "business_header", "customer_name", "customer_email", "payment_instructions"];
+const INVOICE_TEMPLATE_FIELDS = [
+  ...CUSTOMER_TEMPLATE_FIELDS,
+  "invoice_no", "due_date", "total", "deposit_label", "deposit_paid", "credited", "amount_paid", "balance", "items", "balance_due", "paid_in_full",
+];
+
+function customerTemplateValues(data) {
+  const b = data.business;
+  return {
+    business_name: b.name,
+    business_email: b.email || "",
+    business_header: { html: businessHeaderHtml(b), text: [b.name, ...b.addressLines, ...b.contactLines].join("\n") },
+    customer_name: data.customerName || "",
+    customer_email: data.customerEmail || "",
+    payment_instructions: data.paymentInstructions || b.paymentInstructions,
+  };
+}
+
+// Blank rather than £0.00, so the amount works as a section too
+function optionalGbp(n) {
+  return Number(n || 0) ? gbp(n) : "";
+}
+
+function invoiceTemplateValues(data) {
+  const balance = Number(data.balance || 0);
+  return {
+    ...customerTemplateValues(data),
+    invoice_no: data.invoiceNo || "",
+    due_date: data.dueDate ? fmtDate(data.dueDate) : "",
+    total: gbp(data.total),
+    deposit_label: data.business.depositLabel,
+    deposit_paid: optionalGbp(data.depositPaid),
+    credited: optionalGbp(data.credited),
+    amount_paid: gbp(data.amountPaid),
+    balance: gbp(Math.max(0, balance)),
+    items: { html: itemsTableHtml(data, data.business.colourLight), text: itemLines(data).join("\n") },
+    balance_due: balance > 0,
+    paid_in_full: balance <= 0,
+  };
+}
+
+const EMAIL_TEMPLATES = {
+  receipt: {
+    label: "Receipt",
+    fields: [...INVOICE_TEMPLATE_FIELDS, "receipt_no", "paid_date", "payment_amount", "payment_method", "payment_ref", "overpaid", "payment_history"],
+    builtIn: (data) => ({
+      subject: data.balance > 0 ? `Receipt — ${data.invoiceNo} — Payment received` : `Receipt — ${data.invoiceNo} — Paid`,
+      html: renderReceiptHtml(data),
+      text: renderReceiptText(data),
+    }),
+    values: (data) => ({
+      ...invoiceTemplateValues(data),
+      receipt_no: data.receiptNo || "",
+      paid_date: fmtDate(data.paidAt),
+      payment_amount: gbp(data.paymentAmount),
+      payment_method: data.paidMethod || "",
+      payment_ref: data.paidRef || "",
+      overpaid: data.balance < 0 ? gbp(-data.balance) : "",
+      payment_history: { html: paymentHistoryHtml(data), text: paymentHistoryLines(data).join("\n") },
+    }),
+    // Renders against the invoice's latest payment unless payment_id says otherwise
+    load: async (env, body) => {
+      const invoiceId = Number(body.invoice_id || 0);
+      if (!invoiceId) return { error: "invoice_id is required" };
+      const { data, error } = await loadReceiptData(env, invoiceId, Number(body.payment_id || 0) || null);
+      return { data, error, notFound: !!error };
+    },
+    example: {
+      subject: "Receipt — {{invoice_no}} — {{#balance_due}}Payment received{{/balance_due}}{{^balance_due}}Paid{{/balance_due}}",
+      html: `<p>Hi {{customer_name}},</p>
+<p>Thank you — your payment of <b>{{payment_amount}}</b> by {{payment_method}} on {{paid_date}}{{#payment_ref}} (ref {{payment_ref}}){{/payment_ref}} has been received.</p>
+<p>Receipt {{receipt_no}} for invoice {{invoice_no}}:</p>
+{{items}}
+<p>Total: {{total}}{{#credited}}<br>Credit notes: − {{credited}}{{/credited}}{{#deposit_paid}}<br>{{deposit_label}}: {{deposit_paid}}{{/deposit_paid}}<br>Paid to date: <b>{{amount_paid}}</b></p>
+{{#balance_due}}<p>Balance remaining: <b>{{balance}}</b></p>{{/balance_due}}{{#overpaid}}<p>Overpaid (held as credit): {{overpaid}}</p>{{/overpaid}}
+<p>Thanks,<br>{{business_name}}</p>`,
+      text: `Hi {{customer_name}},
+
+Thank you — your payment of {{payment_amount}} by {{payment_method}} on {{paid_date}}{{#payment_ref}} (ref {{payment_ref}}){{/payment_ref}} has been received.
+
+Receipt {{receipt_no}} for invoice {{invoice_no}}:
+{{items}}
+
+Total: {{total}}{{#credited}}
+Credit notes: -{{credited}}{{/credited}}{{#deposit_paid}}
+{{deposit_label}}: {{deposit_paid}}{{/deposit_paid}}
+Paid to date: {{amount_paid}}{{#balance_due}}
+Balance remaining: {{balance}}{{/balance_due}}{{#overpaid}}
+Overpaid (held as credit): {{overpaid}}{{/overpaid}}
+
+Thanks,
+{{business_name}}`,
+    },
+  },
+
+  invoice: {
+    label: "Invoice",
+    fields: [...INVOICE_TEMPLATE_FIELDS, "issued_date", "subtotal", "travel_fee", "notes", "void_reason", "void"],
+    builtIn: (data) => ({
+      subject:
+        data.balance > 0
+          ? `Invoice — ${data.invoiceNo} — ${gbp(data.balance)} due${data.dueDate ? ` by ${fmtDate(data.dueDate)}` : ""}`
+          : `Invoice — ${data.invoiceNo}`,
+      html: renderInvoiceHtml(data),
+      text: renderInvoiceText(data),
+    }),
+    values: (data) => ({
+      ...invoiceTemplateValues(data),
+      issued_date: fmtDate(data.issuedAt),
+      subtotal: gbp(data.subtotal),
+      travel_fee: optionalGbp(data.travelFee),
+      notes: data.notes || "",
+      void_reason: data.voidReason || "",
+      void: !!data.voidedAt,
+    }),
+    load: async (env, body) => {
+      const invoiceId = Number(body.invoice_id || 0);
+      if (!invoiceId) return { error: "invoice_id is required" };
+      const { data, error } = await loadInvoiceData(env, invoiceId);
+      return { data, error, notFound: !!error };
+    },
+    example: {
+      subject: "Invoice — {{invoice_no}}{{#balance_due}} — {{balance}} due{{#due_date}} by {{due_date}}{{/due_date}}{{/balance_due}}",
+      html: `<p>Hi {{customer_name}},</p>
+<p>Here's invoice <b>{{invoice_no}}</b>, issued {{issued_date}}.</p>
+{{items}}
+<p>Total: {{total}}{{#deposit_paid}}<br>{{deposit_label}}: − {{deposit_paid}}{{/deposit_paid}}{{#credited}}<br>Credit notes: − {{credited}}{{/credited}}<br><b>Balance due: {{balance}}</b></p>
+{{#notes}}<p>{{notes}}</p>{{/notes}}
+{{#balance_due}}<p><b>How to pay</b><br>{{payment_instructions}}</p>{{#due_date}}<p>Please pay by <b>{{due_date}}</b>.</p>{{/due_date}}{{/balance_due}}
+<p>Thank you,<br>{{business_name}}</p>`,
+      text: `Hi {{customer_name}},
+
+Here's invoice {{invoice_no}}, issued {{issued_date}}.
+
+{{items}}
+
+Total: {{total}}{{#deposit_paid}}
+{{deposit_label}}: -{{deposit_paid}}{{/deposit_paid}}{{#credited}}
+Credit notes: -{{credited}}{{/credited}}
+Balance due: {{balance}}
+{{#notes}}
+{{notes}}
+{{/notes}}{{#balance_due}}
+How to pay:
+{{payment_instructions}}{{#due_date}}
+Please pay by {{due_date}}.{{/due_date}}
+{{/balance_due}}
+Thank you,
+{{business_name}}`,
+    },
+  },
+
+  reminder: {
+    label: "Payment reminder",
+    fields: [...INVOICE_TEMPLATE_FIELDS, "stage", "overdue"],
+    builtIn: (data) => ({
+      subject:
+        data.daysFromDue > 0
+          ? `Payment reminder — ${data.invoiceNo} — overdue`
+          : `Payment reminder — ${data.invoiceNo} — ${reminderStageLabel(data.daysFromDue)}`,
+      html: renderReminderHtml(data),
+      text: renderReminderText(data),
+    }),
+    values: (data) => ({
+      ...invoiceTemplateValues(data),
+      stage: reminderStageLabel(data.daysFromDue),
+      overdue: data.daysFromDue > 0,
+    }),
+    // As the reminder that would go out today, or days_from_due for another stage
+    load: async (env, body) => {
+      const invoiceId = Number(body.invoice_id || 0);
+      if (!invoiceId) return { error: "invoice_id is required" };
+      const { data, error } = await loadInvoiceData(env, invoiceId);
+      if (error) return { error, notFound: true };
+      const daysFromDue =
+        body.days_from_due !== undefined
+          ? Number(body.days_from_due)
+          : data.dueDate
+            ? daysBetween(String(data.dueDate).slice(0, 10), nowIso().slice(0, 10))
+            : 0;
+      if (!Number.isInteger(daysFromDue)) return { error: "days_from_due must be a whole number" };
+      return { data: { ...data, daysFromDue } };
+    },
+    example: {
+      subject: "Payment reminder — {{invoice_no}} — {{#overdue}}overdue{{/overdue}}{{^overdue}}{{stage}}{{/overdue}}",
+      html: `<p>Hi {{customer_name}},</p>
+<p>{{#overdue}}Invoice <b>{{invoice_no}}</b> is now {{stage}}.{{/overdue}}{{^overdue}}Just a reminder that invoice <b>{{invoice_no}}</b> is {{stage}}.{{/overdue}}</p>
+<p>Invoice total: {{total}}{{#credited}}<br>Credit notes: − {{credited}}{{/credited}}<br>Paid so far: {{amount_paid}}<br><b>Balance due: {{balance}}</b></p>
+<p><b>How to pay</b><br>{{payment_instructions}}</p>
+<p>If you've already paid, thank you — please ignore this email.</p>
+<p>Thanks,<br>{{business_name}}</p>`,
+      text: `Hi {{customer_name}},
+
+{{#overdue}}Invoice {{invoice_no}} is now {{stage}}.{{/overdue}}{{^overdue}}Just a reminder that invoice {{invoice_no}} is {{stage}}.{{/overdue}}
+
+Invoice total: {{total}}{{#credited}}
+Credit notes: -{{credited}}{{/credited}}
+Paid so far: {{amount_paid}}
+Balance due: {{balance}}
+
+How to pay:
+{{payment_instructions}}
+
+If you've already paid, thank you — please ignore this email.
+
+Thanks,
+{{business_name}}`,
+    },
+  },
+
+  statement: {
+    label: "Statement",
+    fields: [
+      ...CUSTOMER_TEMPLATE_FIELDS,
+      "period", "statement_date", "opening_balance", "invoiced", "credited", "received", "refunded", "balance", "in_credit",
+      "activity", "aged_balance", "balance_due", "paid_in_full",
+    ],
+    builtIn: (data) => ({
+      subject:
+        data.closingBalance > 0
+          ? `Statement — ${statementPeriod(data)} — ${gbp(data.closingBalance)} outstanding`
+          : `Statement — ${statementPeriod(data)}`,
+      html: renderStatementHtml(data),
+      text: renderStatementText(data),
+    }),
+    values: (data) => ({
+      ...customerTemplateValues(data),
+      period: statementPeriod(data),
+      statement_date: fmtDate(data.asOf),
+      opening_balance: data.from ? gbp(data.openingBalance) : "",
+      invoiced: gbp(data.invoiced),
+      credited: optionalGbp(data.credited),
+      received: gbp(data.received),
+      refunded: optionalGbp(data.refunded),
+      balance: gbp(Math.max(0, data.closingBalance)),
+      in_credit: data.closingBalance < 0 ? gbp(-data.closingBalance) : "",
+      activity: { html: statementActivityHtml(data), text: statementActivityLines(data).join("\n") },
+      aged_balance: { html: statementAgedHtml(data), text: statementAgedLines(data).join("\n") },
+      balance_due: data.closingBalance > 0,
+      paid_in_full: data.closingBalance <= 0,
+    }),
+    // customer_id, or the customer on invoice_id; from / to / profile_id as for the statement route
+    load: async (env, body) => {
+      let customerId = Number(body.customer_id || 0);
+      if (!customerId && body.invoice_id) {
+        const invoice = await env.emm_invoices
+          .prepare("SELECT customer_id FROM invoices WHERE id = ?")
+          .bind(Number(body.invoice_id))
+          .first();
+        if (!invoice) return { error: "Invoice not found", notFound: true };
+        customerId = Number(invoice.customer_id || 0);
+      }
+      if (!customerId) return { error: "customer_id or invoice_id is required" };
+      const range = {};
+      for (const key of ["from", "to"]) {
+        if (safeStr(body[key]) && !ymdOrNull(body[key])) return { error: `${key} must be YYYY-MM-DD` };
+        range[key] = ymdOrNull(body[key]);
+      }
+      const { data, error } = await loadStatementData(env, customerId, { ...range, profileId: Number(body.profile_id || 0) || null });
+      return { data, error, notFound: !!error };
+    },
+    example: {
+      subject: "Statement — {{period}}{{#balance_due}} — {{balance}} outstanding{{/balance_due}}",
+      html: `<p>Hi {{customer_name}},</p>
+<p>Here's your statement of account {{period}}.</p>
+{{activity}}
+<p>{{#opening_balance}}Opening balance: {{opening_balance}}<br>{{/opening_balance}}Invoiced: {{invoiced}}{{#credited}}<br>Credit notes: − {{credited}}{{/credited}}<br>Payments received: − {{received}}{{#refunded}}<br>Refunded: {{refunded}}{{/refunded}}</p>
+{{#balance_due}}<p><b>Balance due: {{balance}}</b></p>{{aged_balance}}<p><b>How to pay</b><br>{{payment_instructions}}</p>{{/balance_due}}
+{{#in_credit}}<p>Your account is <b>{{in_credit}}</b> in credit.</p>{{/in_credit}}
+<p>Thank you,<br>{{business_name}}</p>`,
+      text: `Hi {{customer_name}},
+
+Here's your statement of account {{period}}.
+
+{{activity}}
+
+{{#opening_balance}}Opening balance: {{opening_balance}}
+{{/opening_balance}}Invoiced: {{invoiced}}{{#credited}}
+Credit notes: -{{credited}}{{/credited}}
+Payments received: -{{received}}{{#refunded}}
+Refunded: {{refunded}}{{/refunded}}
+{{#balance_due}}
+Balance due: {{balance}}
+
+Amount owed by age:
+{{aged_balance}}
+
+How to pay:
+{{payment_instructions}}
+{{/balance_due}}{{#in_credit}}
+Your account is {{in_credit}} in credit.
+{{/in_credit}}
+Thank you,
+{{business_name}}`,
+    },
+  },
+};
+
+const TEMPLATE_PARTS = { subject: 200, html: 50000, text: 50000 };
+const TEMPLATE_TAG = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+
+// Problems with one part of a template: unknown names, blocks in the
+// subject, sections that don't close, and braces that aren't a tag.
+function templatePartErrors(name, part, source) {
+  const fields = EMAIL_TEMPLATES[name].fields;
+  const errors = [];
+  const open = [];
+
+  for (const [tag, sigil, field] of source.matchAll(TEMPLATE_TAG)) {
+    if (!fields.includes(field)) {
+      errors.push({ field: part, error: `unknown placeholder ${tag}` });
+    } else if (sigil === "/") {
+      if (open[open.length - 1] === field) open.pop();
+      else errors.push({ field: part, error: `${tag} doesn't close the section that's open` });
+    } else if (sigil) {
+      open.push(field);
+    } else if (TEMPLATE_FIELDS[field].kind === "section") {
+      errors.push({ field: part, error: `${tag} is a section; use {{#${field}}}…{{/${field}}}` });
+    } else if (part === "subject" && TEMPLATE_FIELDS[field].kind === "block") {
+      errors.push({ field: part, error: `${tag} is a table and can't go in the subject` });
+    }
+  }
+  open.forEach((field) => errors.push({ field: part, error: `{{#${field}}} is never closed with {{/${field}}}` }));
+  if (/\{\{|\}\}/.test(source.replace(TEMPLATE_TAG, ""))) errors.push({ field: part, error: "has {{ or }} that isn't a placeholder" });
+  return errors;
+}
+
+// { subject, html, text } from a request body, blanks as null (built-in).
+function readTemplateBody(name, body) {
+  const template = {};
+  const errors = [];
+  for (const [part, max] of Object.entries(TEMPLATE_PARTS)) {
+    if (body[part] != null && typeof body[part] !== "string") {
+      errors.push({ field: part, error: "must be text" });
+      continue;
+    }
+    template[part] = safeStr(body[part]) ? String(body[part]) : null;
+    if (!template[part]) continue;
+    if (template[part].length > max) errors.push({ field: part, error: `must be at most ${max} characters` });
+    else errors.push(...templatePartErrors(name, part, template[part]));
+  }
+  return { template, errors };
+}
+
+function templateValue(value, format) {
+  if (value && typeof value === "object") return value[format];
+  if (typeof value === "boolean") return "";
+  const str = String(value ?? "");
+  return format === "html" ? escapeHtml(str).replace(/\r?\n/g, "<br>") : str;
+}
+
+function renderTemplate(source, values, format) {
+  const out = [];
+  const sections = [];
+  let last = 0;
+
+  for (const m of source.matchAll(TEMPLATE_TAG)) {
+    const showing = sections.every(Boolean);
+    if (showing) out.push(source.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    const [, sigil, field] = m;
+    const value = values[field];
+    const set = value && typeof value === "object" ? true : typeof value === "boolean" ? value : String(value ?? "") !== "";
+    if (sigil === "#") sections.push(set);
+    else if (sigil === "^") sections.push(!set);
+    else if (sigil === "/") sections.pop();
+    else if (showing) out.push(templateValue(value, format));
+  }
+  if (sections.every(Boolean)) out.push(source.slice(last));
+  return out.join("");
+}
+
+// Same outer wrapper as the built-in emails
+function emailFrameHtml(inner) {
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    ${inner}
+  </div>`;
+}
+
+async function loadEmailTemplate(env, name) {
+  return env.emm_invoices.prepare("SELECT * FROM email_templates WHERE name = ?").bind(name).first();
+}
+
+// Subject and bodies for one email. template is the one to use instead of
+// the stored one (an unsaved draft being previewed); null means built-in.
+async function composeEmail(env, name, data, template = undefined) {
+  const kind = EMAIL_TEMPLATES[name];
+  const stored = template === undefined ? await loadEmailTemplate(env, name) : template;
+  const builtIn = kind.builtIn(data);
+  if (!stored || !(stored.subject || stored.html || stored.text)) return { ...builtIn, template: "built_in" };
+
+  const values = kind.values(data);
+  return {
+    subject: stored.subject ? renderTemplate(stored.subject, values, "text").replace(/\s+/g, " ").trim() : builtIn.subject,
+    html: stored.html ? emailFrameHtml(renderTemplate(stored.html, values, "html")) : builtIn.html,
+    text: stored.text ? renderTemplate(stored.text, values, "text") : builtIn.text,
+    template: "custom",
+  };
+}
+
+function publicTemplate(name, stored) {
+  return {
+    name,
+    label: EMAIL_TEMPLATES[name].label,
+    customised: !!stored,
+    subject: stored?.subject ?? null,
+    html: stored?.html ?? null,
+    text: stored?.text ?? null,
+    updated_at: stored?.updated_at ?? null,
+  };
+}
 
-      return json({ ok: true, id });
-    }
-  }
+// --- Email outbox
+// Every outgoing email is written to email_outbox and then tried straight
+// away, so the caller still learns whether it went. One that fails for a
+// reason that may pass (network, a 5xx or 429) is left "retrying" and picked
+// up by the cron after EMAIL_RETRY_MINUTES; anything else, or the last retry,
+// leaves it "failed". A row is "sending" while an attempt holds it, and
+// next_attempt_at doubles as that lease so a worker that died mid-send
+// doesn't strand it.
+//
+// EMAIL_TRANSPORT picks how mail goes out:
+//   resend  (default) Resend's API: RESEND_API_KEY, RESEND_FROM
+//   smtp    an HTTP-to-SMTP relay: SMTP_RELAY_URL, optional SMTP_RELAY_TOKEN;
+//           it's POSTed { from, to, reply_to, subject, html, text, attachments }
+//   log     writes the message to the worker log and counts it as sent, for
+//           development and tests
+// EMAIL_FROM is the sender for smtp and log (RESEND_FROM if unset).
+const EMAIL_RETRY_MINUTES = [5, 15, 60, 240, 720];
+const EMAIL_LEASE_MINUTES = 10;
+const EMAIL_STATUSES = ["sending", "retrying", "sent", "failed"];
 
-  // --- Manual resend receipt (optional)
-  {
-    const m = pathname.match(/^\/api\/invoices\/(\d+)\/email-receipt$/);
-    if (m && request.method === "POST") {
-      if (!env.emm_invoices) return bad(500, "DB not configured");
-      const id = Number(m[1]);
+// Must match the frequent cron in wrangler config; any other cron is the daily run
+const EMAIL_RETRY_CRON = "*/10 * * * *";
 
-      const row = await env.emm_invoices
-        .prepare("SELECT receipt_no FROM invoices WHERE id = ?")
-        .bind(id)
-        .first();
+function emailFrom(env) {
+  return safeStr(env.EMAIL_FROM) || safeStr(env.RESEND_FROM);
+}
 
-      const receiptNo = row?.receipt_no || null;
-      const result = await sendReceiptEmail({ env, invoiceId: id, receiptNo });
+// Each send(env, message) resolves to { ok, id?, error?, retryable? }
+const EMAIL_TRANSPORTS = {
+  resend: {
+    missing: (env) => ["RESEND_API_KEY", "RESEND_FROM"].filter((k) => !env[k]),
+    async send(env, msg) {
+      const resp = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${env.RESEND_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from: env.RESEND_FROM,
+          to: msg.to,
+          subject: msg.subject,
+          html: msg.html,
+          text: msg.text,
+          ...(msg.reply_to ? { reply_to: msg.reply_to } : {}),
+          ...(msg.attachments?.length ? { attachments: msg.attachments } : {}),
+        }),
+      });
+      if (!resp.ok) {
+        const errText = await resp.text().catch(() => "");
+        return { ok: false, error: `Resend error ${resp.status}: ${errText.slice(0, 300)}`, retryable: resp.status >= 500 || resp.status === 429 };
+      }
+      const data = await resp.json().catch(() => ({}));
+      return { ok: true, id: data.id || null };
+    },
+  },
 
-      if (result.emailed) {
-        await env.emm_invoices
-          .prepare("UPDATE invoices SET emailed_receipt_at = ? WHERE id = ?")
-          .bind(nowIso(), id)
-          .run();
+  smtp: {
+    missing: (env) => [!env.SMTP_RELAY_URL && "SMTP_RELAY_URL", !emailFrom(env) && "EMAIL_FROM"].filter(Boolean),
+    async send(env, msg) {
+      const resp = await fetch(env.SMTP_RELAY_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(env.SMTP_RELAY_TOKEN ? { Authorization: `Bearer ${env.SMTP_RELAY_TOKEN}` } : {}),
+        },
+        body: JSON.stringify({ from: emailFrom(env), ...msg, attachments: msg.attachments || [] }),
+      });
+      if (!resp.ok) {
+        const errText = await resp.text().catch(() => "");
+        return { ok: false, error: `SMTP relay error ${resp.status}: ${errText.slice(0, 300)}`, retryable: resp.status >= 500 || resp.status === 429 };
       }
+      const data = await resp.json().catch(() => ({}));
+      return { ok: true, id: data.id || data.message_id || null };
+    },
+  },
+
+  log: {
+    missing: () => [],
+    async send(env, msg) {
+      console.log(
+        `[email] from=${emailFrom(env) || "(unset)"} to=${msg.to}${msg.reply_to ? ` reply_to=${msg.reply_to}` : ""} subject=${JSON.stringify(msg.subject)}` +
+          (msg.attachments?.length ? ` attachments=${msg.attachments.map((a) => a.filename).join(",")}` : "") +
+          `\n${msg.text || ""}`
+      );
+      return { ok: true, id: `log-${crypto.randomUUID()}` };
+    },
+  },
+};
+
+function emailTransport(env) {
+  const name = safeStr(env.EMAIL_TRANSPORT).toLowerCase() || "resend";
+  const transport = EMAIL_TRANSPORTS[name];
+  if (!transport) return { name, error: `Unknown EMAIL_TRANSPORT "${name}" (use ${Object.keys(EMAIL_TRANSPORTS).join(", ")})` };
+  const missing = transport.missing(env);
+  if (missing.length) return { name, error: `Email not configured (missing ${missing.join(" or ")})` };
+  return { name, transport };
+}
+
+function minutesFrom(iso, minutes) {
+  return new Date(Date.parse(iso) + minutes * 60000).toISOString();
+}
+
+// Stamps whatever the email was for, once it has gone
+async function emailDelivered(env, email) {
+  const at = email.sent_at;
+  if (email.kind === "receipt" && email.payment_id) {
+    await env.emm_invoices.batch([
+      env.emm_invoices.prepare("UPDATE payments SET emailed_receipt_at = ? WHERE id = ?").bind(at, email.payment_id),
+      env.emm_invoices.prepare("UPDATE invoices SET emailed_receipt_at = ? WHERE id = ?").bind(at, email.invoice_id),
+    ]);
+  } else if (email.kind === "credit_note" && email.credit_note_id) {
+    await env.emm_invoices.prepare("UPDATE credit_notes SET emailed_at = ? WHERE id = ?").bind(at, email.credit_note_id).run();
+  } else if (email.kind === "invoice" && email.invoice_id) {
+    await markInvoiceSent(env, email.invoice_id, { emailed: true, at });
+  }
+}
+
+// One delivery attempt for an outbox row. Only the caller that wins the lease
+// (the row's next_attempt_at still being what it read) sends it.
+async function attemptEmail(env, email) {
+  const now = nowIso();
+  const claimed = await env.emm_invoices
+    .prepare(
+      `UPDATE email_outbox SET status = 'sending', attempts = attempts + 1, next_attempt_at = ?
+       WHERE id = ? AND status IN ('sending', 'retrying', 'failed') AND next_attempt_at IS ?`
+    )
+    .bind(minutesFrom(now, EMAIL_LEASE_MINUTES), email.id, email.next_attempt_at)
+    .run();
+  if (!claimed.meta?.changes) return { emailed: false, error: "Email is already being sent", busy: true };
 
-      return json({ ok: true, id, emailed: result.emailed, error: result.error || null });
+  const attempts = email.attempts + 1;
+  const { name, transport, error: configError } = emailTransport(env);
+  let result;
+  if (configError) {
+    result = { ok: false, error: configError };
+  } else {
+    try {
+      result = await transport.send(env, {
+        to: email.to_address,
+        reply_to: email.reply_to || null,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: JSON.parse(email.attachments_json || "[]"),
+      });
+    } catch (e) {
+      result = { ok: false, error: String(e?.message || e), retryable: true };
     }
   }
 
-  return bad(404, "Not found");
+  if (result.ok) {
+    const sent = { ...email, status: "sent", attempts, sent_at: nowIso() };
+    await env.emm_invoices
+      .prepare(
+        `UPDATE email_outbox SET status = 'sent', transport = ?, provider_id = ?, last_error = NULL, next_attempt_at = NULL, sent_at = ?
+         WHERE id = ?`
+      )
+      .bind(name, result.id || null, sent.sent_at, email.id)
+      .run();
+    await emailDelivered(env, sent);
+    return { emailed: true, error: null, emailId: email.id, sentAt: sent.sent_at };
+  }
+
+  const delay = result.retryable ? EMAIL_RETRY_MINUTES[attempts - 1] : undefined;
+  const retryAt = delay === undefined ? null : minutesFrom(nowIso(), delay);
+  await env.emm_invoices
+    .prepare("UPDATE email_outbox SET status = ?, transport = ?, last_error = ?, next_attempt_at = ? WHERE id = ?")
+    .bind(retryAt ? "retrying" : "failed", name, result.error, retryAt, email.id)
+    .run();
+  return { emailed: false, error: result.error, emailId: email.id, retrying: !!retryAt, retryAt };
 }
 
-async function sendReceiptEmail({ env, invoiceId, receiptNo }) {
-  // If no Resend key configured, skip (frontend can fallback to mailto)
-  if (!env.RESEND_API_KEY || !env.RESEND_FROM) {
-    return { emailed: false, error: "Email not configured (missing RESEND_API_KEY or RESEND_FROM)" };
-  }
+async function loadEmail(env, id) {
+  return env.emm_invoices.prepare("SELECT * FROM email_outbox WHERE id = ?").bind(id).first();
+}
 
-  const row = await env.emm_invoices
+// Shared by every outgoing email. refs say what it's about: { kind, invoiceId,
+// customerId, paymentId, creditNoteId }. attachments: optional
+// [{ filename, content }] with base64 content. replyTo is the business
+// profile's email, so replies reach whoever the paperwork is from.
+async function sendEmail(env, { to, replyTo, subject, html, text, attachments }, refs = {}) {
+  const ins = await env.emm_invoices
     .prepare(
-      `SELECT i.*, c.name as customer_name, c.email as customer_email, c.address as customer_address
-       FROM invoices i
-       LEFT JOIN customers c ON c.id = i.customer_id
-       WHERE i.id = ?`
+      `INSERT INTO email_outbox (kind, invoice_id, customer_id, payment_id, credit_note_id, to_address, reply_to, subject, html, text,
+                                 attachments_json, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sending', ?)`
     )
-    .bind(invoiceId)
-    .first();
+    .bind(
+      refs.kind || "other", refs.invoiceId || null, refs.customerId || null, refs.paymentId || null, refs.creditNoteId || null,
+      to, replyTo || null, subject, html || null, text || null, attachments?.length ? JSON.stringify(attachments) : null, nowIso()
+    )
+    .run();
+  return attemptEmail(env, await loadEmail(env, ins.meta?.last_row_id));
+}
 
-  if (!row) return { emailed: false, error: "Invoice not found" };
-  if (!row.customer_email) return { emailed: false, error: "Customer email missing" };
+// Retries whatever is due, oldest first (the cron calls this)
+async function retryEmails(env, { now = nowIso(), limit = 25 } = {}) {
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT * FROM email_outbox
+       WHERE status IN ('sending', 'retrying') AND next_attempt_at <= ?
+       ORDER BY next_attempt_at, id
+       LIMIT ?`
+    )
+    .bind(now, limit)
+    .all();
 
-  let items = [];
-  try { items = JSON.parse(row.items_json || "[]"); } catch {}
+  const emails = [];
+  for (const email of rows.results || []) {
+    const result = await attemptEmail(env, email);
+    if (result.busy) continue;
+    emails.push({ id: email.id, kind: email.kind, invoice_id: email.invoice_id, to: email.to_address, ...result });
+  }
+  return { now, emails };
+}
 
-  const total = Number(row.total || 0);
-  const deposit = Number(row.deposit_amount || 0);
-  const balanceDue = Math.max(0, total - deposit);
-
-  const subject = `Receipt — ${row.invoice_no} — Paid`;
-  const effectiveReceiptNo =
-    receiptNo || row.receipt_no || `RCPT-${row.invoice_no}-${nowIso().slice(0, 10).replaceAll("-", "")}`;
-
-  const html = renderReceiptHtml({
-    receiptNo: effectiveReceiptNo,
-    invoiceNo: row.invoice_no,
-    paidAt: row.paid_at,
-    paidMethod: row.paid_method,
-    paidRef: row.paid_ref,
-    customerName: row.customer_name,
-    customerEmail: row.customer_email,
-    customerAddress: row.customer_address,
-    items,
-    travelFee: Number(row.travel_fee || 0),
-    total,
-    deposit,
-    balanceDue,
-    programme: row.programme,
-  });
+// Outbox rows without their bodies
+async function listEmails(env, { invoiceId = null, customerId = null, status = null, kind = null, cursor = null, limit = 50 } = {}) {
+  const where = [];
+  const binds = [];
+  if (invoiceId) { where.push("e.invoice_id = ?"); binds.push(invoiceId); }
+  if (customerId) { where.push("e.customer_id = ?"); binds.push(customerId); }
+  if (status) { where.push("e.status = ?"); binds.push(status); }
+  if (kind) { where.push("e.kind = ?"); binds.push(kind); }
+  if (cursor) { where.push("e.id < ?"); binds.push(cursor); }
 
-  const text = renderReceiptText({
-    receiptNo: effectiveReceiptNo,
-    invoiceNo: row.invoice_no,
-    paidAt: row.paid_at,
-    paidMethod: row.paid_method,
-    paidRef: row.paid_ref,
-    customerName: row.customer_name,
-    items,
-    travelFee: Number(row.travel_fee || 0),
-    total,
-    deposit,
-    balanceDue,
-  });
+  const rows = await env.emm_invoices
+    .prepare(
+      `SELECT e.id, e.kind, e.invoice_id, i.invoice_no, e.customer_id, e.payment_id, e.credit_note_id, e.to_address, e.subject,
+              e.transport, e.status, e.attempts, e.last_error, e.provider_id, e.next_attempt_at, e.created_at, e.sent_at,
+              e.attachments_json
+       FROM email_outbox e
+       LEFT JOIN invoices i ON i.id = e.invoice_id
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY e.id DESC
+       LIMIT ?`
+    )
+    .bind(...binds, limit + 1)
+    .all();
 
-  const resp = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.RESEND_FROM,
-      to: row.customer_email,
-      subject,
-      html,
-      text,
-    }),
+  const results = rows.results || [];
+  const emails = results.slice(0, limit).map(({ attachments_json, ...e }) => {
+    let attachments = [];
+    try { attachments = JSON.parse(attachments_json || "[]").map((a) => a.filename); } catch {}
+    return { ...e, attachments };
   });
+  return { emails, next_cursor: results.length > limit ? String(emails[emails.length - 1].id) : null };
+}
 
-  if (!resp.ok) {
-    const errText = await resp.text().catch(() => "");
-    return { emailed: false, error: `Resend error ${resp.status}: ${errText.slice(0, 300)}` };
-  }
+function fmtDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString("en-GB") : "—";
+}
 
-  return { emailed: true, error: null };
+function paymentLabel(p) {
+  return { deposit: "Deposit", refund: "Refund" }[p.kind] || "Payment";
 }
 
-function renderReceiptHtml(data) {
-  const paidDate = data.paidAt ? new Date(data.paidAt).toLocaleString("en-GB") : "—";
-  const rows = data.items
+// Pieces shared by the document renderers and the email template blocks.
+function itemRowsHtml(items) {
+  return items
     .map((it) => {
       const desc = escapeHtml(it.desc || "");
       const when =
@@ -606,7 +6311,10 @@ function renderReceiptHtml(data) {
       `;
     })
     .join("");
+}
 
+// The items with the travel fee as a line of its own
+function itemsTableHtml(data, background) {
   const travelRow =
     data.travelFee && Number(data.travelFee) !== 0
       ? `
@@ -619,64 +6327,394 @@ function renderReceiptHtml(data) {
       `
       : "";
 
-  const depositBlock =
-    Number(data.deposit || 0) > 0
+  return `
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="background:${background};color:#6b7280;text-transform:uppercase;font-size:12px;">
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Description</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Qty</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Unit</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${itemRowsHtml(data.items)}
+          ${travelRow}
+        </tbody>
+      </table>`;
+}
+
+function itemLines(data) {
+  const lines = (data.items || []).map(
+    (it) => `- ${it.desc} — ${it.qty} × £${Number(it.unit).toFixed(2)} = £${Number(it.amount).toFixed(2)}`
+  );
+  if (Number(data.travelFee || 0) !== 0) lines.push(`- Travel Fee — £${Number(data.travelFee).toFixed(2)}`);
+  return lines;
+}
+
+// Payments up to and including the one being receipted, which is highlighted
+function paymentHistoryHtml(data) {
+  const historyRows = (data.payments || [])
+    .map((p) => {
+      const current = p.receipt_no && p.receipt_no === data.receiptNo;
+      const details = [paymentLabel(p), p.method, p.ref].filter(Boolean).map(escapeHtml).join(" · ");
+      return `
+        <tr${current ? ' style="background:#ecfdf5;"' : ""}>
+          <td style="padding:8px 0;border-bottom:1px solid #e5e7eb;">${escapeHtml(fmtDate(p.paid_at))}</td>
+          <td style="padding:8px 0;border-bottom:1px solid #e5e7eb;">${details}</td>
+          <td style="padding:8px 0;border-bottom:1px solid #e5e7eb;">${escapeHtml(p.receipt_no || "—")}</td>
+          <td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;">${gbp(p.amount)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <thead>
+          <tr style="background:#ecfdf5;color:#6b7280;text-transform:uppercase;font-size:12px;">
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Date</th>
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Details</th>
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Receipt</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${historyRows}
+        </tbody>
+      </table>`;
+}
+
+function paymentHistoryLines(data) {
+  return (data.payments || []).map((p) => {
+    const details = [paymentLabel(p), p.method, p.ref].filter(Boolean).join(" · ");
+    return `- ${fmtDate(p.paid_at)} — ${details} — ${p.receipt_no || "—"} — £${Number(p.amount).toFixed(2)}`;
+  });
+}
+
+function renderReceiptHtml(data) {
+  const paidDate = data.paidAt ? new Date(data.paidAt).toLocaleString("en-GB") : "—";
+  const balanceRow =
+    Number(data.balance || 0) > 0
       ? `
         <div style="display:flex;justify-content:space-between;margin-top:8px;">
-          <div style="color:#374151;">Stripe deposit already paid:</div>
-          <div style="font-weight:700;">${gbp(data.deposit)}</div>
+          <div style="color:#111827;font-weight:800;">Balance remaining:</div>
+          <div style="font-weight:900;color:#b45309;">${gbp(data.balance)}</div>
+        </div>
+      `
+      : Number(data.balance || 0) < 0
+        ? `
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#111827;font-weight:800;">Overpaid (credit):</div>
+          <div style="font-weight:900;color:#047857;">${gbp(-data.balance)}</div>
+        </div>
+      `
+        : "";
+
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #e5e7eb;padding-bottom:14px;">
+      <div>
+        <div style="font-size:28px;font-weight:900;color:#047857;">RECEIPT</div>
+        <div style="margin-top:6px;color:#6b7280;">Payment confirmation for your records.</div>
+      </div>
+      ${businessHeaderHtml(data.business)}
+    </div>
+
+    <div style="display:flex;justify-content:space-between;gap:20px;border-bottom:1px solid #f3f4f6;padding:16px 0;">
+      <div style="flex:1;">
+        <div style="font-size:12px;font-weight:800;color:#374151;margin-bottom:6px;">RECEIPT TO</div>
+        <div style="font-weight:800;">${escapeHtml(data.customerName || "—")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerAddress || "")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerEmail || "")}</div>
+      </div>
+      <div style="text-align:right;min-width:240px;">
+        <div style="color:#374151;">Receipt No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.receiptNo || "—")}</span></div>
+        <div style="color:#374151;margin-top:6px;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
+        <div style="color:#374151;margin-top:6px;">Paid Date: <span style="font-weight:800;color:#111827;">${escapeHtml(paidDate)}</span></div>
+        <div style="color:#374151;margin-top:6px;">Method: <span style="font-weight:800;color:#111827;">${escapeHtml(data.paidMethod || "—")}</span></div>
+        ${data.paidRef ? `<div style="color:#374151;margin-top:6px;">Ref: <span style="font-weight:800;color:#111827;">${escapeHtml(data.paidRef)}</span></div>` : ""}
+      </div>
+    </div>
+
+    <div style="padding-top:16px;">
+      <div style="font-weight:800;color:#374151;margin-bottom:10px;">Items Paid</div>
+      ${itemsTableHtml(data, "#ecfdf5")}
+
+      <div style="font-weight:800;color:#374151;margin:18px 0 10px;">Payment History</div>
+      ${paymentHistoryHtml(data)}
+
+      <div style="margin-top:14px;">
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#374151;">Total (package):</div>
+          <div style="font-weight:700;">${gbp(data.total)}</div>
         </div>
+        ${
+          data.credited > 0
+            ? `<div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#374151;">Credit notes:</div>
+          <div style="font-weight:700;">− ${gbp(data.credited)}</div>
+        </div>`
+            : ""
+        }
         <div style="display:flex;justify-content:space-between;margin-top:8px;">
-          <div style="color:#111827;font-weight:800;">Payment received today:</div>
-          <div style="font-weight:900;color:#047857;">${gbp(data.balanceDue)}</div>
+          <div style="color:#111827;font-weight:800;">This payment:</div>
+          <div style="font-weight:900;color:#047857;">${gbp(data.paymentAmount)}</div>
         </div>
         <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid #10b981;">
           <div style="color:#111827;font-weight:900;">Total paid to date:</div>
-          <div style="font-weight:900;color:#047857;">${gbp(data.total)}</div>
+          <div style="font-weight:900;color:#047857;">${gbp(data.amountPaid)}</div>
         </div>
-      `
-      : `
-        <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid #10b981;">
-          <div style="color:#111827;font-weight:900;">Total paid:</div>
-          <div style="font-weight:900;color:#047857;">${gbp(data.total)}</div>
+        ${balanceRow}
+      </div>
+
+      <div style="margin-top:16px;color:#374151;font-size:13px;">
+        Thank you — your payment has been received.
+      </div>
+    </div>
+  </div>`;
+}
+
+function renderReceiptText(data) {
+  const paidDate = data.paidAt ? new Date(data.paidAt).toLocaleString("en-GB") : "—";
+  const lines = [];
+  lines.push("RECEIPT / PAYMENT CONFIRMATION");
+  lines.push("");
+  lines.push(`Receipt No: ${data.receiptNo || "—"}`);
+  lines.push(`Invoice No: ${data.invoiceNo || "—"}`);
+  lines.push(`Paid Date: ${paidDate}`);
+  lines.push(`Method: ${data.paidMethod || "—"}`);
+  if (data.paidRef) lines.push(`Ref: ${data.paidRef}`);
+  lines.push("");
+  lines.push(`Receipt To: ${data.customerName || "—"}`);
+  lines.push("");
+  lines.push("Items:");
+  lines.push(...itemLines(data));
+  lines.push("");
+  lines.push("Payment history:");
+  lines.push(...paymentHistoryLines(data));
+  lines.push("");
+  lines.push(`Total (package): £${Number(data.total).toFixed(2)}`);
+  if (data.credited > 0) lines.push(`Credit notes: -£${Number(data.credited).toFixed(2)}`);
+  lines.push(`This payment: £${Number(data.paymentAmount).toFixed(2)}`);
+  lines.push(`Total paid to date: £${Number(data.amountPaid).toFixed(2)}`);
+  if (Number(data.balance || 0) > 0) lines.push(`Balance remaining: £${Number(data.balance).toFixed(2)}`);
+  if (Number(data.balance || 0) < 0) lines.push(`Overpaid (credit): £${(-Number(data.balance)).toFixed(2)}`);
+  lines.push("");
+  lines.push("Thank you,");
+  lines.push(data.business.name);
+  return lines.join("\n");
+}
+
+function renderCreditNoteHtml(data) {
+  const line = (label, value, strong = false, color = "#111827") => `
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:${strong ? "#111827;font-weight:800" : "#374151"};">${label}</div>
+          <div style="font-weight:${strong ? 900 : 700};color:${color};">${value}</div>
+        </div>`;
+
+  const refund =
+    data.refundAmount > 0
+      ? `
+      <div style="margin-top:16px;padding:12px;border-radius:10px;background:#fffbeb;color:#374151;font-size:13px;">
+        <div style="font-weight:800;margin-bottom:4px;">Refund</div>
+        <div>${gbp(data.refundAmount)} refunded by ${escapeHtml(data.refundMethod || "—")} on ${escapeHtml(fmtDate(data.refundedAt))}${
+          data.refundRef ? ` (ref ${escapeHtml(data.refundRef)})` : ""
+        }.</div>
+      </div>`
+      : "";
+
+  const outcome =
+    data.balance > 0
+      ? line("Balance still due:", gbp(data.balance), true, "#b45309")
+      : data.balance < 0
+        ? line("Held as credit:", gbp(-data.balance), true, "#047857")
+        : line("Balance due:", gbp(0), true, "#047857");
+
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #fde68a;padding-bottom:14px;">
+      <div>
+        <div style="font-size:28px;font-weight:900;color:#b45309;">CREDIT NOTE</div>
+        <div style="margin-top:6px;color:#6b7280;">Against invoice ${escapeHtml(data.invoiceNo || "—")}.</div>
+      </div>
+      ${businessHeaderHtml(data.business)}
+    </div>
+
+    <div style="display:flex;justify-content:space-between;gap:20px;border-bottom:1px solid #f3f4f6;padding:16px 0;">
+      <div style="flex:1;">
+        <div style="font-size:12px;font-weight:800;color:#374151;margin-bottom:6px;">CREDIT TO</div>
+        <div style="font-weight:800;">${escapeHtml(data.customerName || "—")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerAddress || "")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerEmail || "")}</div>
+      </div>
+      <div style="text-align:right;min-width:240px;">
+        <div style="color:#374151;">Credit Note No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.creditNo || "—")}</span></div>
+        <div style="color:#374151;margin-top:6px;">Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.issuedAt))}</span></div>
+        <div style="color:#374151;margin-top:6px;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
+        <div style="color:#374151;margin-top:6px;">Invoice Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.invoiceDate))}</span></div>
+      </div>
+    </div>
+
+    <div style="padding-top:16px;">
+      ${data.reason ? `<div style="color:#374151;font-size:13px;white-space:pre-wrap;">${escapeHtml(data.reason)}</div>` : ""}
+
+      <div style="margin-top:14px;">
+        ${line("Invoice total:", gbp(data.invoiceTotal))}
+        <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid #f59e0b;">
+          <div style="color:#111827;font-weight:900;">This credit note:</div>
+          <div style="font-weight:900;color:#b45309;">− ${gbp(data.amount)}</div>
         </div>
-      `;
+        ${data.credited > data.amount ? line("Credited to date:", `− ${gbp(data.credited)}`) : ""}
+        ${data.amountPaid ? line("Paid (after refunds):", `− ${gbp(data.amountPaid)}`) : ""}
+        ${outcome}
+      </div>
+      ${refund}
+    </div>
+  </div>`;
+}
+
+function renderCreditNoteText(data) {
+  const money = (n) => `£${Number(n || 0).toFixed(2)}`;
+  const lines = [];
+  lines.push("CREDIT NOTE");
+  lines.push("");
+  lines.push(`Credit Note No: ${data.creditNo || "—"}`);
+  lines.push(`Date: ${fmtDate(data.issuedAt)}`);
+  lines.push(`Invoice No: ${data.invoiceNo || "—"} (${fmtDate(data.invoiceDate)})`);
+  lines.push("");
+  lines.push(`Credit To: ${data.customerName || "—"}`);
+  if (data.reason) {
+    lines.push("");
+    lines.push(data.reason);
+  }
+  lines.push("");
+  lines.push(`Invoice total: ${money(data.invoiceTotal)}`);
+  lines.push(`This credit note: -${money(data.amount)}`);
+  if (data.credited > data.amount) lines.push(`Credited to date: -${money(data.credited)}`);
+  if (data.amountPaid) lines.push(`Paid (after refunds): -${money(data.amountPaid)}`);
+  if (data.balance > 0) lines.push(`Balance still due: ${money(data.balance)}`);
+  else if (data.balance < 0) lines.push(`Held as credit: ${money(-data.balance)}`);
+  else lines.push(`Balance due: ${money(0)}`);
+  if (data.refundAmount > 0) {
+    lines.push("");
+    lines.push(
+      `Refund: ${money(data.refundAmount)} by ${data.refundMethod || "—"} on ${fmtDate(data.refundedAt)}${data.refundRef ? ` (ref ${data.refundRef})` : ""}.`
+    );
+  }
+  lines.push("");
+  lines.push("Thank you,");
+  lines.push(data.business.name);
+  return lines.join("\n");
+}
+
+// Sent when an invoice the customer has already had is voided
+function renderVoidNoticeHtml(data) {
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #e5e7eb;padding-bottom:14px;">
+      <div>
+        <div style="font-size:28px;font-weight:900;color:#6b7280;">INVOICE CANCELLED</div>
+        <div style="margin-top:6px;color:#6b7280;">There's nothing to pay on this invoice.</div>
+      </div>
+      ${businessHeaderHtml(data.business)}
+    </div>
+
+    <div style="padding:16px 0;">
+      <div style="margin-bottom:12px;">Hi ${escapeHtml(data.customerName || "there")},</div>
+
+      <div style="color:#374151;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
+      <div style="color:#374151;margin-top:6px;">Invoice Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.issuedAt))}</span></div>
+      <div style="color:#374151;margin-top:6px;">Invoice Total: <span style="font-weight:800;color:#111827;">${gbp(data.total)}</span></div>
+      <div style="color:#374151;margin-top:6px;">Cancelled: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.voidedAt))}</span></div>
+
+      ${data.voidReason ? `<div style="margin-top:14px;color:#374151;font-size:13px;white-space:pre-wrap;">${escapeHtml(data.voidReason)}</div>` : ""}
+      ${
+        data.refunded > 0
+          ? `<div style="margin-top:14px;color:#374151;font-size:13px;">The ${gbp(data.refunded)} you paid has been refunded.</div>`
+          : ""
+      }
+
+      <div style="margin-top:16px;color:#374151;font-size:13px;">
+        Please disregard this invoice. If you have any questions, just reply to this email.
+      </div>
+    </div>
+  </div>`;
+}
+
+function renderVoidNoticeText(data) {
+  const lines = [];
+  lines.push("INVOICE CANCELLED");
+  lines.push("");
+  lines.push(`Hi ${data.customerName || "there"},`);
+  lines.push("");
+  lines.push(`Invoice ${data.invoiceNo || "—"} dated ${fmtDate(data.issuedAt)} for £${Number(data.total).toFixed(2)} was cancelled on ${fmtDate(data.voidedAt)}.`);
+  if (data.voidReason) {
+    lines.push("");
+    lines.push(data.voidReason);
+  }
+  if (data.refunded > 0) {
+    lines.push("");
+    lines.push(`The £${Number(data.refunded).toFixed(2)} you paid has been refunded.`);
+  }
+  lines.push("");
+  lines.push("Please disregard this invoice. If you have any questions, just reply to this email.");
+  lines.push("");
+  lines.push("Thanks,");
+  lines.push(data.business.name);
+  return lines.join("\n");
+}
+
+function renderInvoiceHtml(data) {
+
+  const line = (label, value, strong = false) => `
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:${strong ? "#111827;font-weight:800" : "#374151"};">${label}</div>
+          <div style="font-weight:${strong ? 900 : 700};">${value}</div>
+        </div>`;
+
+  const paidLines =
+    (data.credited > 0 ? line("Credit notes:", `− ${gbp(data.credited)}`) : "") +
+    (data.depositPaid > 0 ? line(`${escapeHtml(data.business.depositLabel)}:`, `− ${gbp(data.depositPaid)}`) : "") +
+    (data.paymentsReceived > 0 ? line("Payments received:", `− ${gbp(data.paymentsReceived)}`) : "") +
+    (data.refunded > 0 ? line("Refunded:", gbp(data.refunded)) : "");
+
+  const voidBanner = data.voidedAt
+    ? `
+    <div style="margin-top:14px;padding:12px;border-radius:10px;background:#fef2f2;color:#991b1b;font-size:13px;">
+      <div style="font-weight:900;">VOID — cancelled ${escapeHtml(fmtDate(data.voidedAt))}. Nothing is due on this invoice.</div>
+      ${data.voidReason ? `<div style="margin-top:4px;white-space:pre-wrap;">${escapeHtml(data.voidReason)}</div>` : ""}
+    </div>`
+    : "";
 
   return `
   <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
-    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #e5e7eb;padding-bottom:14px;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid ${data.business.colourRule};padding-bottom:14px;">
       <div>
-        <div style="font-size:28px;font-weight:900;color:#047857;">RECEIPT</div>
-        <div style="margin-top:6px;color:#6b7280;">Payment confirmation for your records.</div>
-      </div>
-      <div style="text-align:right;color:#374151;">
-        <div style="font-weight:800;">Elliot’s Mobile Music</div>
-        <div style="font-size:13px;">Pudsey, UK</div>
+        <div style="font-size:28px;font-weight:900;color:${data.business.colour};">INVOICE</div>
+        <div style="margin-top:6px;color:#6b7280;">${escapeHtml(fmtDate(data.issuedAt))}</div>
       </div>
+      ${businessHeaderHtml(data.business)}
     </div>
+    ${voidBanner}
 
     <div style="display:flex;justify-content:space-between;gap:20px;border-bottom:1px solid #f3f4f6;padding:16px 0;">
       <div style="flex:1;">
-        <div style="font-size:12px;font-weight:800;color:#374151;margin-bottom:6px;">RECEIPT TO</div>
+        <div style="font-size:12px;font-weight:800;color:#374151;margin-bottom:6px;">BILL TO</div>
         <div style="font-weight:800;">${escapeHtml(data.customerName || "—")}</div>
         <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerAddress || "")}</div>
         <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerEmail || "")}</div>
       </div>
       <div style="text-align:right;min-width:240px;">
-        <div style="color:#374151;">Receipt No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.receiptNo || "—")}</span></div>
-        <div style="color:#374151;margin-top:6px;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
-        <div style="color:#374151;margin-top:6px;">Paid Date: <span style="font-weight:800;color:#111827;">${escapeHtml(paidDate)}</span></div>
-        <div style="color:#374151;margin-top:6px;">Method: <span style="font-weight:800;color:#111827;">${escapeHtml(data.paidMethod || "—")}</span></div>
-        ${data.paidRef ? `<div style="color:#374151;margin-top:6px;">Ref: <span style="font-weight:800;color:#111827;">${escapeHtml(data.paidRef)}</span></div>` : ""}
+        <div style="color:#374151;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
+        <div style="color:#374151;margin-top:6px;">Due Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.dueDate))}</span></div>
       </div>
     </div>
 
     <div style="padding-top:16px;">
-      <div style="font-weight:800;color:#374151;margin-bottom:10px;">Items Paid</div>
-
       <table style="width:100%;border-collapse:collapse;">
         <thead>
-          <tr style="background:#ecfdf5;color:#6b7280;text-transform:uppercase;font-size:12px;">
+          <tr style="background:${data.business.colourLight};color:#6b7280;text-transform:uppercase;font-size:12px;">
             <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Description</th>
             <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Qty</th>
             <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Unit</th>
@@ -684,57 +6722,787 @@ function renderReceiptHtml(data) {
           </tr>
         </thead>
         <tbody>
-          ${rows}
-          ${travelRow}
+          ${itemRowsHtml(data.items)}
         </tbody>
       </table>
 
       <div style="margin-top:14px;">
-        <div style="display:flex;justify-content:space-between;margin-top:8px;">
-          <div style="color:#374151;">Total (package):</div>
-          <div style="font-weight:700;">${gbp(data.total)}</div>
+        ${line("Subtotal:", gbp(data.subtotal))}
+        ${Number(data.travelFee || 0) !== 0 ? line("Travel fee:", gbp(data.travelFee)) : ""}
+        ${line("Total (package):", gbp(data.total))}
+        ${paidLines}
+        <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid ${data.business.colour};">
+          <div style="color:#111827;font-weight:900;">Balance due:</div>
+          <div style="font-weight:900;color:${data.business.colour};">${gbp(Math.max(0, data.balance))}</div>
         </div>
-
-        ${depositBlock}
       </div>
 
-      <div style="margin-top:16px;color:#374151;font-size:13px;">
-        Thank you — your payment has been received.
-      </div>
+      ${data.notes ? `<div style="margin-top:16px;color:#374151;font-size:13px;white-space:pre-wrap;">${escapeHtml(data.notes)}</div>` : ""}
+
+      ${
+        data.voidedAt
+          ? ""
+          : `<div style="margin-top:16px;padding:12px;border-radius:10px;background:#f8fafc;color:#374151;font-size:13px;">
+        <div style="font-weight:800;margin-bottom:4px;">How to pay</div>
+        <div style="white-space:pre-wrap;">${escapeHtml(data.paymentInstructions)}</div>
+        ${data.dueDate ? `<div style="margin-top:6px;">Please pay by <b>${escapeHtml(fmtDate(data.dueDate))}</b>.</div>` : ""}
+      </div>`
+      }
     </div>
   </div>`;
 }
 
-function renderReceiptText(data) {
-  const paidDate = data.paidAt ? new Date(data.paidAt).toLocaleString("en-GB") : "—";
+function renderInvoiceText(data) {
   const lines = [];
-  lines.push("RECEIPT / PAYMENT CONFIRMATION");
+  lines.push(data.voidedAt ? "INVOICE — VOID" : "INVOICE");
   lines.push("");
-  lines.push(`Receipt No: ${data.receiptNo || "—"}`);
+  if (data.voidedAt) {
+    lines.push(`Cancelled ${fmtDate(data.voidedAt)}. Nothing is due on this invoice.${data.voidReason ? ` ${data.voidReason}` : ""}`);
+    lines.push("");
+  }
   lines.push(`Invoice No: ${data.invoiceNo || "—"}`);
-  lines.push(`Paid Date: ${paidDate}`);
-  lines.push(`Method: ${data.paidMethod || "—"}`);
-  if (data.paidRef) lines.push(`Ref: ${data.paidRef}`);
+  lines.push(`Date: ${fmtDate(data.issuedAt)}`);
+  lines.push(`Due Date: ${fmtDate(data.dueDate)}`);
   lines.push("");
-  lines.push(`Receipt To: ${data.customerName || "—"}`);
+  lines.push(`Bill To: ${data.customerName || "—"}`);
   lines.push("");
   lines.push("Items:");
   (data.items || []).forEach((it) => {
     lines.push(`- ${it.desc} — ${it.qty} × £${Number(it.unit).toFixed(2)} = £${Number(it.amount).toFixed(2)}`);
   });
-  if (Number(data.travelFee || 0) !== 0) lines.push(`- Travel Fee — £${Number(data.travelFee).toFixed(2)}`);
   lines.push("");
+  lines.push(`Subtotal: £${Number(data.subtotal).toFixed(2)}`);
+  if (Number(data.travelFee || 0) !== 0) lines.push(`Travel fee: £${Number(data.travelFee).toFixed(2)}`);
   lines.push(`Total (package): £${Number(data.total).toFixed(2)}`);
-  if (Number(data.deposit || 0) > 0) {
-    lines.push(`Stripe deposit already paid: £${Number(data.deposit).toFixed(2)}`);
-    lines.push(`Payment received today: £${Number(data.balanceDue).toFixed(2)}`);
-    lines.push(`Total paid to date: £${Number(data.total).toFixed(2)}`);
-  } else {
-    lines.push(`Total paid: £${Number(data.total).toFixed(2)}`);
+  if (data.credited > 0) lines.push(`Credit notes: -£${Number(data.credited).toFixed(2)}`);
+  if (data.depositPaid > 0) lines.push(`${data.business.depositLabel}: -£${Number(data.depositPaid).toFixed(2)}`);
+  if (data.paymentsReceived > 0) lines.push(`Payments received: -£${Number(data.paymentsReceived).toFixed(2)}`);
+  if (data.refunded > 0) lines.push(`Refunded: £${Number(data.refunded).toFixed(2)}`);
+  lines.push(`Balance due: £${Math.max(0, Number(data.balance)).toFixed(2)}`);
+  if (data.notes) {
+    lines.push("");
+    lines.push(data.notes);
+  }
+  if (!data.voidedAt) {
+    lines.push("");
+    lines.push("How to pay:");
+    lines.push(data.paymentInstructions);
+    if (data.dueDate) lines.push(`Please pay by ${fmtDate(data.dueDate)}.`);
+  }
+  lines.push("");
+  lines.push("Thank you,");
+  lines.push(data.business.name);
+  return lines.join("\n");
+}
+
+function statementPeriod(data) {
+  if (data.from) return `${fmtDate(data.from)} to ${fmtDate(data.asOf)}`;
+  return `to ${fmtDate(data.asOf)}`;
+}
+
+function statementActivityHtml(data) {
+  const cell = "padding:8px 0;border-bottom:1px solid #e5e7eb;";
+  const money = (n) => (n ? gbp(n) : "");
+
+  const openingRow = data.from
+    ? `
+        <tr>
+          <td style="${cell}">${escapeHtml(fmtDate(data.from))}</td>
+          <td style="${cell}" colspan="4">Balance brought forward</td>
+          <td style="${cell}text-align:right;font-weight:700;">${gbp(data.openingBalance)}</td>
+        </tr>
+      `
+    : "";
+
+  const rows = data.entries
+    .map(
+      (e) => `
+        <tr>
+          <td style="${cell}">${escapeHtml(fmtDate(e.date))}</td>
+          <td style="${cell}">${escapeHtml(e.reference || "—")}</td>
+          <td style="${cell}">${escapeHtml(e.description)}</td>
+          <td style="${cell}text-align:right;">${money(e.debit)}</td>
+          <td style="${cell}text-align:right;color:#047857;">${money(e.credit)}</td>
+          <td style="${cell}text-align:right;font-weight:700;">${gbp(e.balance)}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  return `
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <thead>
+          <tr style="background:#f3f4f6;color:#6b7280;text-transform:uppercase;font-size:12px;">
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Date</th>
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Ref</th>
+            <th style="text-align:left;padding:10px 0;border-bottom:1px solid #e5e7eb;">Details</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Charged</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Paid</th>
+            <th style="text-align:right;padding:10px 0;border-bottom:1px solid #e5e7eb;">Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${openingRow}
+          ${rows || `<tr><td style="${cell}color:#6b7280;" colspan="6">No activity in this period.</td></tr>`}
+        </tbody>
+      </table>`;
+}
+
+function statementActivityLines(data) {
+  const money = (n) => `£${Number(n || 0).toFixed(2)}`;
+  const lines = [];
+  if (data.from) lines.push(`${fmtDate(data.from)} — Balance brought forward — ${money(data.openingBalance)}`);
+  if (!data.entries.length) lines.push("No activity in this period.");
+  data.entries.forEach((e) => {
+    const amount = e.debit ? money(e.debit) : `-${money(e.credit)}`;
+    lines.push(`- ${fmtDate(e.date)} — ${e.reference || "—"} — ${e.description} — ${amount} — balance ${money(e.balance)}`);
+  });
+  return lines;
+}
+
+function statementAgedHtml(data) {
+  const agedCells = STATEMENT_AGING.map(
+    (b) => `
+          <td style="padding:8px 6px;border:1px solid #e5e7eb;text-align:center;">
+            <div style="font-size:11px;color:#6b7280;">${escapeHtml(b.label)}</div>
+            <div style="font-weight:800;${b.key !== "current" && data.aged[b.key] > 0 ? "color:#b45309;" : ""}">${gbp(data.aged[b.key])}</div>
+          </td>`
+  ).join("");
+
+  return `
+      <table style="width:100%;border-collapse:collapse;font-size:13px;">
+        <tr>${agedCells}
+        </tr>
+      </table>
+      ${data.aged.credit > 0 ? `<div style="margin-top:8px;color:#047857;font-size:13px;">Overpayments held as credit: ${gbp(data.aged.credit)}</div>` : ""}`;
+}
+
+function statementAgedLines(data) {
+  const lines = STATEMENT_AGING.map((b) => `- ${b.label}: £${Number(data.aged[b.key] || 0).toFixed(2)}`);
+  if (data.aged.credit > 0) lines.push(`Overpayments held as credit: £${Number(data.aged.credit).toFixed(2)}`);
+  return lines;
+}
+
+function renderStatementHtml(data) {
+  const line = (label, value, strong = false) => `
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:${strong ? "#111827;font-weight:800" : "#374151"};">${label}</div>
+          <div style="font-weight:${strong ? 900 : 700};">${value}</div>
+        </div>`;
+
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #e5e7eb;padding-bottom:14px;">
+      <div>
+        <div style="font-size:28px;font-weight:900;color:#1f2937;">STATEMENT</div>
+        <div style="margin-top:6px;color:#6b7280;">Account activity ${escapeHtml(statementPeriod(data))}.</div>
+      </div>
+      ${businessHeaderHtml(data.business)}
+    </div>
+
+    <div style="display:flex;justify-content:space-between;gap:20px;border-bottom:1px solid #f3f4f6;padding:16px 0;">
+      <div style="flex:1;">
+        <div style="font-size:12px;font-weight:800;color:#374151;margin-bottom:6px;">STATEMENT FOR</div>
+        <div style="font-weight:800;">${escapeHtml(data.customerName || "—")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerAddress || "")}</div>
+        <div style="color:#4b5563;font-size:13px;">${escapeHtml(data.customerEmail || "")}</div>
+      </div>
+      <div style="text-align:right;min-width:240px;">
+        <div style="color:#374151;">Statement Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.asOf))}</span></div>
+        <div style="color:#374151;margin-top:6px;">Balance: <span style="font-weight:800;color:#111827;">${gbp(data.closingBalance)}</span></div>
+      </div>
+    </div>
+
+    <div style="padding-top:16px;">
+      ${statementActivityHtml(data)}
+
+      <div style="margin-top:14px;">
+        ${data.from ? line("Opening balance:", gbp(data.openingBalance)) : ""}
+        ${line("Invoiced:", gbp(data.invoiced))}
+        ${data.credited ? line("Credit notes:", `− ${gbp(data.credited)}`) : ""}
+        ${line("Payments received:", `− ${gbp(data.received)}`)}
+        ${data.refunded ? line("Refunded:", gbp(data.refunded)) : ""}
+        <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid #374151;">
+          <div style="color:#111827;font-weight:900;">${data.closingBalance < 0 ? "In credit:" : "Balance due:"}</div>
+          <div style="font-weight:900;color:${data.closingBalance > 0 ? "#b45309" : "#047857"};">${gbp(Math.abs(data.closingBalance))}</div>
+        </div>
+      </div>
+
+      <div style="font-weight:800;color:#374151;margin:18px 0 10px;">Amount owed by age</div>
+      ${statementAgedHtml(data)}
+
+      ${
+        data.closingBalance > 0
+          ? `
+      <div style="margin-top:16px;padding:12px;border-radius:10px;background:#f8fafc;color:#374151;font-size:13px;">
+        <div style="font-weight:800;margin-bottom:4px;">How to pay</div>
+        <div style="white-space:pre-wrap;">${escapeHtml(data.paymentInstructions)}</div>
+      </div>`
+          : ""
+      }
+    </div>
+  </div>`;
+}
+
+function renderStatementText(data) {
+  const money = (n) => `£${Number(n || 0).toFixed(2)}`;
+  const lines = [];
+  lines.push("STATEMENT OF ACCOUNT");
+  lines.push("");
+  lines.push(`Statement For: ${data.customerName || "—"}`);
+  lines.push(`Period: ${statementPeriod(data)}`);
+  lines.push("");
+  lines.push(...statementActivityLines(data));
+  lines.push("");
+  if (data.from) lines.push(`Opening balance: ${money(data.openingBalance)}`);
+  lines.push(`Invoiced: ${money(data.invoiced)}`);
+  if (data.credited) lines.push(`Credit notes: -${money(data.credited)}`);
+  lines.push(`Payments received: -${money(data.received)}`);
+  if (data.refunded) lines.push(`Refunded: ${money(data.refunded)}`);
+  lines.push(data.closingBalance < 0 ? `In credit: ${money(-data.closingBalance)}` : `Balance due: ${money(data.closingBalance)}`);
+  lines.push("");
+  lines.push("Amount owed by age:");
+  lines.push(...statementAgedLines(data));
+  if (data.closingBalance > 0) {
+    lines.push("");
+    lines.push("How to pay:");
+    lines.push(data.paymentInstructions);
   }
   lines.push("");
   lines.push("Thank you,");
-  lines.push("Elliot’s Mobile Music");
+  lines.push(data.business.name);
+  return lines.join("\n");
+}
+
+function renderReminderHtml(data) {
+  const overdue = data.daysFromDue > 0;
+  const headline = overdue
+    ? `This invoice is ${reminderStageLabel(data.daysFromDue)}.`
+    : `Just a reminder that this invoice is ${reminderStageLabel(data.daysFromDue)}.`;
+
+  return `
+  <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;max-width:680px;margin:0 auto;padding:22px;color:#111827;">
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;border-bottom:1px solid #e5e7eb;padding-bottom:14px;">
+      <div>
+        <div style="font-size:28px;font-weight:900;color:${overdue ? "#b45309" : data.business.colour};">PAYMENT REMINDER</div>
+        <div style="margin-top:6px;color:#6b7280;">${escapeHtml(headline)}</div>
+      </div>
+      ${businessHeaderHtml(data.business)}
+    </div>
+
+    <div style="padding:16px 0;">
+      <div style="margin-bottom:12px;">Hi ${escapeHtml(data.customerName || "there")},</div>
+
+      <div style="color:#374151;">Invoice No: <span style="font-weight:800;color:#111827;">${escapeHtml(data.invoiceNo || "—")}</span></div>
+      <div style="color:#374151;margin-top:6px;">Due Date: <span style="font-weight:800;color:#111827;">${escapeHtml(fmtDate(data.dueDate))}</span></div>
+
+      <div style="margin-top:14px;">
+        <div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#374151;">Invoice total:</div>
+          <div style="font-weight:700;">${gbp(data.total)}</div>
+        </div>
+        ${
+          Number(data.credited || 0) > 0
+            ? `<div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#374151;">Credit notes:</div>
+          <div style="font-weight:700;">− ${gbp(data.credited)}</div>
+        </div>`
+            : ""
+        }
+        ${
+          Number(data.amountPaid || 0) > 0
+            ? `<div style="display:flex;justify-content:space-between;margin-top:8px;">
+          <div style="color:#374151;">Paid so far:</div>
+          <div style="font-weight:700;">${gbp(data.amountPaid)}</div>
+        </div>`
+            : ""
+        }
+        <div style="display:flex;justify-content:space-between;margin-top:8px;padding-top:10px;border-top:3px solid ${overdue ? "#f59e0b" : data.business.colour};">
+          <div style="color:#111827;font-weight:900;">Balance due:</div>
+          <div style="font-weight:900;color:${overdue ? "#b45309" : data.business.colour};">${gbp(data.balance)}</div>
+        </div>
+      </div>
+
+      <div style="margin-top:16px;color:#374151;font-size:13px;">
+        If you've already paid, thank you — please ignore this email.
+      </div>
+    </div>
+  </div>`;
+}
+
+function renderReminderText(data) {
+  const lines = [];
+  lines.push("PAYMENT REMINDER");
+  lines.push("");
+  lines.push(`Hi ${data.customerName || "there"},`);
+  lines.push("");
+  lines.push(`Invoice ${data.invoiceNo || "—"} is ${reminderStageLabel(data.daysFromDue)}.`);
+  lines.push(`Due Date: ${fmtDate(data.dueDate)}`);
+  lines.push("");
+  lines.push(`Invoice total: £${Number(data.total).toFixed(2)}`);
+  if (Number(data.credited || 0) > 0) lines.push(`Credit notes: -£${Number(data.credited).toFixed(2)}`);
+  if (Number(data.amountPaid || 0) > 0) lines.push(`Paid so far: £${Number(data.amountPaid).toFixed(2)}`);
+  lines.push(`Balance due: £${Number(data.balance).toFixed(2)}`);
+  lines.push("");
+  lines.push("If you've already paid, thank you — please ignore this email.");
+  lines.push("");
+  lines.push("Thanks,");
+  lines.push(data.business.name);
   return lines.join("\n");
 }
 
+// Standalone page for /i/:token — the invoice, then the latest receipt if any.
+function renderSharePageHtml({ invoice = null, receipt = null, base = "", error = null }) {
+  const title = invoice ? `Invoice ${invoice.invoiceNo || ""}` : "Invoice";
+  const businessName = invoice?.business.name || DEFAULT_BUSINESS_PROFILE.name;
+  // The page is on our own origin, so the logo needn't wait for APP_URL
+  const onPage = (data) => data && { ...data, business: { ...data.business, logoUrl: data.business.logoPath } };
+  const button = (href, label, bg) =>
+    `<a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 14px;border-radius:10px;background:${bg};color:#fff;text-decoration:none;font-weight:700;font-size:14px;">${label}</a>`;
+
+  const content = error
+    ? `<div style="max-width:680px;margin:0 auto;padding:24px;border-radius:16px;background:#fff;border:1px solid #e5e7eb;color:#374151;">
+         <div style="font-weight:900;font-size:18px;color:#111827;margin-bottom:6px;">${escapeHtml(businessName)}</div>
+         ${escapeHtml(error)}
+       </div>`
+    : `
+      <div style="max-width:680px;margin:0 auto 12px;display:flex;gap:8px;flex-wrap:wrap;">
+        ${button(`${base}/invoice.pdf`, "Download invoice (PDF)", invoice.business.colour)}
+        ${receipt ? button(`${base}/receipt.pdf`, "Download receipt (PDF)", "#059669") : ""}
+      </div>
+      ${renderInvoiceHtml(onPage(invoice))}
+      ${receipt ? `<div style="height:24px;"></div>${renderReceiptHtml(onPage(receipt))}` : ""}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)} — ${escapeHtml(businessName)}</title>
+</head>
+<body style="margin:0;padding:24px 12px;background:#f3f4f6;font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;">
+  ${content}
+</body>
+</html>`;
+}
+
+// --- PDF rendering
+// A small PDF writer (standard Helvetica fonts, text, lines and filled boxes)
+// so invoices and receipts can be built inside the worker with no dependencies.
+// Layout follows renderInvoiceHtml/renderReceiptHtml.
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 48 };
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93,
+  "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "−": 0x2d,
+};
+const WIN_ANSI_WIDTHS = { 0x80: 556, 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xa3: 556, 0xb7: 278, 0xd7: 584 };
+
+function pdfEncode(str) {
+  let out = "";
+  for (const ch of String(str ?? "")) {
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code <= 255 && !(code >= 127 && code < 160)) out += String.fromCharCode(code);
+    else if (WIN_ANSI[ch] !== undefined) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (ch === "\n" || ch === "\t") out += " ";
+    else out += "?";
+  }
+  return out;
+}
+
+function pdfTextWidth(encoded, bold, size) {
+  const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const c = encoded.charCodeAt(i);
+    units += c >= 32 && c <= 126 ? table[c - 32] : WIN_ANSI_WIDTHS[c] ?? 556;
+  }
+  return (units * size) / 1000;
+}
+
+function pdfColor(hex) {
+  const n = parseInt(String(hex).replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => (v / 255).toFixed(3)).join(" ");
+}
+
+// Builder with a top-left origin; returns the finished file as a binary string.
+function createPdf() {
+  const pages = [];
+  let ops = null;
+
+  const y = (top) => (PDF_PAGE.height - top).toFixed(2);
+
+  const doc = {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+
+    text(str, x, top, { size = 10, bold = false, color = "#111827", align = "left" } = {}) {
+      const encoded = pdfEncode(str);
+      const width = pdfTextWidth(encoded, bold, size);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      const escaped = encoded.replace(/[\\()]/g, (c) => `\\${c}`);
+      ops.push(`BT ${pdfColor(color)} rg /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${y(top + size)} Td (${escaped}) Tj ET`);
+    },
+
+    line(x1, top1, x2, top2, { color = "#e5e7eb", width = 1 } = {}) {
+      ops.push(`${pdfColor(color)} RG ${width} w ${x1.toFixed(2)} ${y(top1)} m ${x2.toFixed(2)} ${y(top2)} l S`);
+    },
+
+    rect(x, top, w, h, { fill = "#f3f4f6" } = {}) {
+      ops.push(`${pdfColor(fill)} rg ${x.toFixed(2)} ${y(top + h)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+    },
+
+    width(str, { size = 10, bold = false } = {}) {
+      return pdfTextWidth(pdfEncode(str), bold, size);
+    },
+
+    wrap(str, maxWidth, opts = {}) {
+      const words = String(str ?? "").split(/\s+/).filter(Boolean);
+      const lines = [];
+      let current = "";
+      for (const word of words) {
+        const next = current ? `${current} ${word}` : word;
+        if (current && doc.width(next, opts) > maxWidth) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = next;
+        }
+      }
+      if (current || !lines.length) lines.push(current);
+      return lines;
+    },
+
+    toBinary() {
+      const objects = [];
+      const add = (body) => objects.push(body) && objects.length;
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const fontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const boldId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+      const pageIds = pages.map((pageOps) => {
+        const stream = pageOps.join("\n");
+        const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+            `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+  };
+
+  doc.addPage();
+  return doc;
+}
+
+function pdfBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Lays out one document: header, party/meta block, tables, totals and footer.
+function renderDocumentPdf(spec) {
+  const pdf = createPdf();
+  const { margin, width } = PDF_PAGE;
+  const right = width - margin;
+  const contentWidth = right - margin;
+  let top = margin;
+
+  const ensureSpace = (needed) => {
+    if (top + needed > PDF_PAGE.height - margin) {
+      pdf.addPage();
+      top = margin;
+    }
+  };
+
+  // Header
+  pdf.text(spec.title, margin, top, { size: 24, bold: true, color: spec.accent });
+  pdf.text(spec.businessName, right, top + 2, { size: 11, bold: true, color: "#374151", align: "right" });
+  (spec.businessLines || []).forEach((l, i) => {
+    pdf.text(l, right, top + 18 + i * 13, { size: 9, color: "#374151", align: "right" });
+  });
+  if (spec.subtitle) pdf.text(spec.subtitle, margin, top + 32, { size: 10, color: "#6b7280" });
+  top += Math.max(52, 22 + (spec.businessLines || []).length * 13);
+  pdf.line(margin, top, right, top, { color: spec.rule || "#e5e7eb" });
+  top += 14;
+
+  // Party (left) and meta (right)
+  const partyStart = top;
+  pdf.text(spec.partyLabel, margin, top, { size: 8, bold: true, color: "#374151" });
+  top += 13;
+  (spec.partyLines || []).forEach((l, i) => {
+    if (!l) return;
+    pdf.text(l, margin, top, { size: i === 0 ? 11 : 9, bold: i === 0, color: i === 0 ? "#111827" : "#4b5563" });
+    top += i === 0 ? 15 : 12;
+  });
+
+  let metaTop = partyStart;
+  (spec.meta || []).forEach(([label, value]) => {
+    const v = String(value ?? "—");
+    const vw = pdf.width(v, { size: 9, bold: true });
+    pdf.text(v, right, metaTop, { size: 9, bold: true, align: "right" });
+    pdf.text(`${label}: `, right - vw, metaTop, { size: 9, color: "#374151", align: "right" });
+    metaTop += 13;
+  });
+
+  top = Math.max(top, metaTop) + 10;
+  pdf.line(margin, top, right, top, { color: "#f3f4f6" });
+  top += 16;
+
+  // Tables
+  for (const table of spec.tables || []) {
+    if (!table.rows.length) continue;
+    ensureSpace(60);
+    if (table.heading) {
+      pdf.text(table.heading, margin, top, { size: 10, bold: true, color: "#374151" });
+      top += 18;
+    }
+
+    const cols = table.columns;
+    const colX = [];
+    let x = margin;
+    cols.forEach((c) => {
+      colX.push(x);
+      x += c.width * contentWidth;
+    });
+    const cellX = (i) => (cols[i].align === "right" ? colX[i] + cols[i].width * contentWidth : colX[i]);
+
+    const drawHeader = () => {
+      pdf.rect(margin, top, contentWidth, 20, { fill: spec.accentBg });
+      cols.forEach((c, i) => {
+        pdf.text(c.label.toUpperCase(), cellX(i) + (c.align === "right" ? -4 : 4), top + 6, { size: 8, color: "#6b7280", align: c.align || "left" });
+      });
+      top += 24;
+    };
+    drawHeader();
+
+    for (const row of table.rows) {
+      const first = pdf.wrap(row.cells[0], cols[0].width * contentWidth - 8, { size: 9 });
+      const noteLines = row.note ? 1 : 0;
+      const height = Math.max(1, first.length + noteLines) * 12 + 8;
+
+      if (top + height > PDF_PAGE.height - margin) {
+        pdf.addPage();
+        top = margin;
+        drawHeader();
+      }
+      if (row.highlight) pdf.rect(margin, top - 3, contentWidth, height, { fill: spec.accentBg });
+
+      first.forEach((l, i) => pdf.text(l, margin + 4, top + i * 12, { size: 9, bold: !!row.bold }));
+      if (row.note) pdf.text(row.note, margin + 4, top + first.length * 12, { size: 8, color: "#6b7280" });
+      row.cells.slice(1).forEach((cell, j) => {
+        const i = j + 1;
+        pdf.text(cell, cellX(i) + (cols[i].align === "right" ? -4 : 4), top, { size: 9, align: cols[i].align || "left" });
+      });
+
+      top += height;
+      pdf.line(margin, top - 4, right, top - 4);
+    }
+    top += 12;
+  }
+
+  // Totals (right half)
+  ensureSpace((spec.totals || []).length * 18 + 40);
+  const totalsLeft = margin + contentWidth / 2;
+  for (const t of spec.totals || []) {
+    if (t.rule) {
+      pdf.line(totalsLeft, top, right, top, { color: spec.accent, width: 2.5 });
+      top += 8;
+    }
+    pdf.text(t.label, totalsLeft, top, { size: t.strong ? 11 : 10, bold: !!t.strong, color: t.strong ? "#111827" : "#374151" });
+    pdf.text(t.value, right, top, { size: t.strong ? 11 : 10, bold: true, color: t.color || "#111827", align: "right" });
+    top += t.strong ? 18 : 16;
+  }
+  top += 10;
+
+  // Footer blocks (notes, payment instructions, thank you)
+  for (const block of spec.footer || []) {
+    const lines = String(block.text || "")
+      .split("\n")
+      .flatMap((l) => pdf.wrap(l, contentWidth, { size: 9 }));
+    ensureSpace(lines.length * 12 + (block.heading ? 16 : 0) + 8);
+    if (block.heading) {
+      pdf.text(block.heading, margin, top, { size: 9, bold: true, color: "#374151" });
+      top += 14;
+    }
+    lines.forEach((l) => {
+      pdf.text(l, margin, top, { size: 9, color: "#374151" });
+      top += 12;
+    });
+    top += 8;
+  }
+
+  return pdf.toBinary();
+}
+
+function pdfItemRows(data) {
+  const rows = (data.items || []).map((it) => ({
+    cells: [String(it.desc || ""), String(Number(it.qty || 0)), gbp(it.unit), gbp(it.amount)],
+    note: it.date || it.time ? `${it.date || ""}${it.time ? " " + it.time : ""}` : "",
+  }));
+  return rows;
+}
+
+const PDF_ITEM_COLUMNS = [
+  { label: "Description", width: 0.55 },
+  { label: "Qty", width: 0.1, align: "right" },
+  { label: "Unit", width: 0.17, align: "right" },
+  { label: "Amount", width: 0.18, align: "right" },
+];
+
+function renderReceiptPdf(data) {
+  const itemRows = pdfItemRows(data);
+  if (Number(data.travelFee || 0) !== 0) {
+    itemRows.push({ cells: ["Travel Fee", "1", gbp(data.travelFee), gbp(data.travelFee)] });
+  }
+
+  const historyRows = (data.payments || []).map((p) => ({
+    cells: [
+      [paymentLabel(p), p.method, p.ref].filter(Boolean).join(" · "),
+      fmtDate(p.paid_at),
+      p.receipt_no || "—",
+      gbp(p.amount),
+    ],
+    highlight: p.receipt_no && p.receipt_no === data.receiptNo,
+  }));
+
+  const totals = [
+    { label: "Total (package):", value: gbp(data.total) },
+    ...(data.credited > 0 ? [{ label: "Credit notes:", value: `− ${gbp(data.credited)}` }] : []),
+    { label: "This payment:", value: gbp(data.paymentAmount), color: "#047857" },
+    { label: "Total paid to date:", value: gbp(data.amountPaid), strong: true, rule: true, color: "#047857" },
+  ];
+  if (Number(data.balance || 0) > 0) totals.push({ label: "Balance remaining:", value: gbp(data.balance), strong: true, color: "#b45309" });
+  if (Number(data.balance || 0) < 0) totals.push({ label: "Overpaid (credit):", value: gbp(-data.balance), strong: true, color: "#047857" });
+
+  return renderDocumentPdf({
+    title: "RECEIPT",
+    subtitle: "Payment confirmation for your records.",
+    accent: "#047857",
+    accentBg: "#ecfdf5",
+    businessName: data.business.name,
+    businessLines: data.business.addressLines,
+    partyLabel: "RECEIPT TO",
+    partyLines: [data.customerName || "—", data.customerAddress, data.customerEmail],
+    meta: [
+      ["Receipt No", data.receiptNo || "—"],
+      ["Invoice No", data.invoiceNo || "—"],
+      ["Paid Date", data.paidAt ? new Date(data.paidAt).toLocaleString("en-GB") : "—"],
+      ["Method", data.paidMethod || "—"],
+      ...(data.paidRef ? [["Ref", data.paidRef]] : []),
+    ],
+    tables: [
+      { heading: "Items Paid", columns: PDF_ITEM_COLUMNS, rows: itemRows },
+      {
+        heading: "Payment History",
+        columns: [
+          { label: "Details", width: 0.45 },
+          { label: "Date", width: 0.15 },
+          { label: "Receipt", width: 0.22 },
+          { label: "Amount", width: 0.18, align: "right" },
+        ],
+        rows: historyRows,
+      },
+    ],
+    totals,
+    footer: [{ text: "Thank you — your payment has been received." }],
+  });
+}
+
+function renderInvoicePdf(data) {
+  const totals = [{ label: "Subtotal:", value: gbp(data.subtotal) }];
+  if (Number(data.travelFee || 0) !== 0) totals.push({ label: "Travel fee:", value: gbp(data.travelFee) });
+  totals.push({ label: "Total (package):", value: gbp(data.total) });
+  if (data.credited > 0) totals.push({ label: "Credit notes:", value: `− ${gbp(data.credited)}` });
+  if (data.depositPaid > 0) totals.push({ label: `${data.business.depositLabel}:`, value: `− ${gbp(data.depositPaid)}` });
+  if (data.paymentsReceived > 0) totals.push({ label: "Payments received:", value: `− ${gbp(data.paymentsReceived)}` });
+  if (data.refunded > 0) totals.push({ label: "Refunded:", value: gbp(data.refunded) });
+  totals.push({ label: "Balance due:", value: gbp(Math.max(0, data.balance)), strong: true, rule: true, color: data.business.colour });
+
+  const footer = [];
+  if (data.voidedAt) {
+    footer.push({ heading: `Void — cancelled ${fmtDate(data.voidedAt)}`, text: data.voidReason || "Nothing is due on this invoice." });
+  }
+  if (data.notes) footer.push({ heading: "Notes", text: data.notes });
+  if (!data.voidedAt) {
+    footer.push({
+      heading: "How to pay",
+      text: data.paymentInstructions + (data.dueDate ? `\nPlease pay by ${fmtDate(data.dueDate)}.` : ""),
+    });
+  }
+
+  return renderDocumentPdf({
+    title: data.voidedAt ? "INVOICE — VOID" : "INVOICE",
+    subtitle: fmtDate(data.issuedAt),
+    accent: data.business.colour,
+    accentBg: data.business.colourLight,
+    rule: data.business.colourRule,
+    businessName: data.business.name,
+    businessLines: data.business.addressLines,
+    partyLabel: "BILL TO",
+    partyLines: [data.customerName || "—", data.customerAddress, data.customerEmail],
+    meta: [
+      ["Invoice No", data.invoiceNo || "—"],
+      ["Due Date", fmtDate(data.dueDate)],
+    ],
+    tables: [{ columns: PDF_ITEM_COLUMNS, rows: pdfItemRows(data) }],
+    totals,
+    footer,
+  });
+}
+
+function pdfFilename(prefix, docNo, customerName) {
+  const safe = (s) => String(s || "").trim().replace(/\s+/g, "_").replace(/[^a-zA-Z0-9_\-]/g, "");
+  return `${prefix}_${safe(docNo) || "document"}_${safe(customerName) || "Client"}.pdf`;
+}
+
+function pdfResponse(binary, filename) {
+  return new Response(pdfBytes(binary), {
+    headers: {
+      "content-type": "application/pdf",
+      "content-disposition": `inline; filename="${filename}"`,
+      "cache-control": "no-store",
+    },
+  });
+}